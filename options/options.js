@@ -3,6 +3,19 @@
  */
 
 import * as sheetsApi from '../src/lib/sheets-api.js';
+import { DEFAULT_RULES } from '../src/lib/attendance-rules.js';
+import { COLUMN_FIELDS, DEFAULT_COLUMN_TEMPLATE, resolveColumnTemplate } from '../src/lib/column-template.js';
+import { fromBase64, XLSX_MIME_TYPE } from '../src/lib/xlsx.js';
+import { formatDiagnosticsReport } from '../src/lib/diagnostics.js';
+import {
+  SELECTOR_PROFILE_FIELDS, formatSelectorTestResult, validateSelectorProfile
+} from '../src/lib/selector-profile.js';
+import { downloadBlob, escapeHtml } from '../src/lib/html.js';
+
+const RULE_FIELDS = ['lateAfterMinutes', 'leftEarlyMinutes', 'minPresencePercent'];
+
+// Column template being edited (saved with Save Columns)
+let columnDraft = [];
 
 // DOM Elements
 const elements = {
@@ -22,6 +35,61 @@ const elements = {
   saveSheetBtn: document.getElementById('saveSheetBtn'),
   spreadsheetLink: document.getElementById('spreadsheetLink'),
   autoSync: document.getElementById('autoSync'),
+  liveSync: document.getElementById('liveSync'),
+  sheetLayout: document.getElementById('sheetLayout'),
+  syncInterval: document.getElementById('syncInterval'),
+  queuePending: document.getElementById('queuePending'),
+  queueFailed: document.getElementById('queueFailed'),
+  retryQueueBtn: document.getElementById('retryQueueBtn'),
+  queueList: document.getElementById('queueList'),
+  syncUnsyncedBtn: document.getElementById('syncUnsyncedBtn'),
+  syncProgress: document.getElementById('syncProgress'),
+  syncReport: document.getElementById('syncReport'),
+
+  // Export columns
+  columnList: document.getElementById('columnList'),
+  columnField: document.getElementById('columnField'),
+  addColumnBtn: document.getElementById('addColumnBtn'),
+  saveColumnsBtn: document.getElementById('saveColumnsBtn'),
+  resetColumnsBtn: document.getElementById('resetColumnsBtn'),
+
+  // Rosters
+  rosterMeetingId: document.getElementById('rosterMeetingId'),
+  rosterText: document.getElementById('rosterText'),
+  rosterFileBtn: document.getElementById('rosterFileBtn'),
+  rosterFile: document.getElementById('rosterFile'),
+  saveRosterBtn: document.getElementById('saveRosterBtn'),
+  rosterList: document.getElementById('rosterList'),
+
+  // Aliases
+  aliasPattern: document.getElementById('aliasPattern'),
+  aliasCanonical: document.getElementById('aliasCanonical'),
+  aliasEmail: document.getElementById('aliasEmail'),
+  aliasIsRegex: document.getElementById('aliasIsRegex'),
+  addAliasBtn: document.getElementById('addAliasBtn'),
+  aliasList: document.getElementById('aliasList'),
+
+  // Attendance rules
+  lateAfterMinutes: document.getElementById('lateAfterMinutes'),
+  leftEarlyMinutes: document.getElementById('leftEarlyMinutes'),
+  minPresencePercent: document.getElementById('minPresencePercent'),
+  saveRulesBtn: document.getElementById('saveRulesBtn'),
+  ruleMeetingId: document.getElementById('ruleMeetingId'),
+  ruleLateAfterMinutes: document.getElementById('ruleLateAfterMinutes'),
+  ruleLeftEarlyMinutes: document.getElementById('ruleLeftEarlyMinutes'),
+  ruleMinPresencePercent: document.getElementById('ruleMinPresencePercent'),
+  saveRuleOverrideBtn: document.getElementById('saveRuleOverrideBtn'),
+  ruleOverrideList: document.getElementById('ruleOverrideList'),
+
+  // Series report
+  seriesMeetingId: document.getElementById('seriesMeetingId'),
+  seriesTag: document.getElementById('seriesTag'),
+  seriesFrom: document.getElementById('seriesFrom'),
+  seriesTo: document.getElementById('seriesTo'),
+  seriesMode: document.getElementById('seriesMode'),
+  seriesCsvBtn: document.getElementById('seriesCsvBtn'),
+  seriesXlsxBtn: document.getElementById('seriesXlsxBtn'),
+  seriesSheetBtn: document.getElementById('seriesSheetBtn'),
 
   // Storage
   maxMeetings: document.getElementById('maxMeetings'),
@@ -29,10 +97,27 @@ const elements = {
   // Data
   meetingCount: document.getElementById('meetingCount'),
   totalParticipants: document.getElementById('totalParticipants'),
+  openDashboardBtn: document.getElementById('openDashboardBtn'),
   exportAllBtn: document.getElementById('exportAllBtn'),
   importBtn: document.getElementById('importBtn'),
   importFile: document.getElementById('importFile'),
-  clearAllBtn: document.getElementById('clearAllBtn')
+  xlsxMeetingId: document.getElementById('xlsxMeetingId'),
+  xlsxFrom: document.getElementById('xlsxFrom'),
+  xlsxTo: document.getElementById('xlsxTo'),
+  exportXlsxBtn: document.getElementById('exportXlsxBtn'),
+  clearAllBtn: document.getElementById('clearAllBtn'),
+  detectionDebug: document.getElementById('detectionDebug'),
+  diagnosticsReport: document.getElementById('diagnosticsReport'),
+  refreshDiagnosticsBtn: document.getElementById('refreshDiagnosticsBtn'),
+  copyDiagnosticsBtn: document.getElementById('copyDiagnosticsBtn'),
+
+  // Selector profile
+  selectorProfileStatus: document.getElementById('selectorProfileStatus'),
+  selectorFields: document.getElementById('selectorFields'),
+  selectorTestResult: document.getElementById('selectorTestResult'),
+  testSelectorsBtn: document.getElementById('testSelectorsBtn'),
+  saveSelectorsBtn: document.getElementById('saveSelectorsBtn'),
+  resetSelectorsBtn: document.getElementById('resetSelectorsBtn')
 };
 
 /**
@@ -42,6 +127,11 @@ async function init() {
   await loadSettings();
   await checkAuthStatus();
   await loadDataStats();
+  await loadSyncQueue();
+  await loadRosters();
+  await loadAliases();
+  await loadDiagnostics();
+  await loadSelectorProfile();
   setupEventListeners();
 }
 
@@ -54,11 +144,39 @@ function setupEventListeners() {
   elements.createSheetBtn.addEventListener('click', handleCreateSheet);
   elements.saveSheetBtn.addEventListener('click', handleSaveSheet);
   elements.autoSync.addEventListener('change', handleAutoSyncChange);
+  elements.liveSync.addEventListener('change', handleLiveSyncChange);
+  elements.syncUnsyncedBtn.addEventListener('click', handleSyncUnsynced);
+  elements.sheetLayout.addEventListener('change', handleSheetLayoutChange);
+  elements.syncInterval.addEventListener('change', handleSyncIntervalChange);
+  elements.retryQueueBtn.addEventListener('click', handleRetryQueue);
+  chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+  elements.addColumnBtn.addEventListener('click', handleAddColumn);
+  elements.saveColumnsBtn.addEventListener('click', handleSaveColumns);
+  elements.resetColumnsBtn.addEventListener('click', handleResetColumns);
+  elements.rosterFileBtn.addEventListener('click', () => elements.rosterFile.click());
+  elements.rosterFile.addEventListener('change', handleRosterFile);
+  elements.saveRosterBtn.addEventListener('click', handleSaveRoster);
+  elements.addAliasBtn.addEventListener('click', handleAddAlias);
+  elements.saveRulesBtn.addEventListener('click', handleSaveRules);
+  elements.saveRuleOverrideBtn.addEventListener('click', handleSaveRuleOverride);
+  elements.seriesCsvBtn.addEventListener('click', () => handleExportSeries('csv', elements.seriesCsvBtn));
+  elements.seriesXlsxBtn.addEventListener('click', () => handleExportSeries('xlsx', elements.seriesXlsxBtn));
+  elements.seriesSheetBtn.addEventListener('click', () => handleExportSeries('sheet', elements.seriesSheetBtn));
   elements.maxMeetings.addEventListener('change', handleMaxMeetingsChange);
+  elements.openDashboardBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/dashboard/dashboard.html') });
+  });
   elements.exportAllBtn.addEventListener('click', handleExportAll);
   elements.importBtn.addEventListener('click', () => elements.importFile.click());
   elements.importFile.addEventListener('change', handleImport);
+  elements.exportXlsxBtn.addEventListener('click', handleExportXLSX);
   elements.clearAllBtn.addEventListener('click', handleClearAll);
+  elements.detectionDebug.addEventListener('change', handleDetectionDebugChange);
+  elements.refreshDiagnosticsBtn.addEventListener('click', loadDiagnostics);
+  elements.copyDiagnosticsBtn.addEventListener('click', handleCopyDiagnostics);
+  elements.testSelectorsBtn.addEventListener('click', handleTestSelectors);
+  elements.saveSelectorsBtn.addEventListener('click', handleSaveSelectors);
+  elements.resetSelectorsBtn.addEventListener('click', handleResetSelectors);
 }
 
 /**
@@ -69,11 +187,24 @@ async function loadSettings() {
 
   elements.maxMeetings.value = settings.maxStoredMeetings || 100;
   elements.autoSync.checked = settings.autoSync || false;
+  elements.liveSync.checked = settings.liveSync || false;
+  elements.sheetLayout.value = settings.sheetLayout || 'flat';
+  elements.syncInterval.value = settings.syncInterval || 5;
+  elements.detectionDebug.checked = settings.detectionDebug || false;
 
   if (settings.spreadsheetId) {
     elements.spreadsheetId.value = settings.spreadsheetId;
     updateSpreadsheetLink(settings.spreadsheetId);
   }
+
+  const rules = { ...DEFAULT_RULES, ...settings.attendanceRules };
+  for (const field of RULE_FIELDS) {
+    elements[field].value = rules[field];
+  }
+  renderRuleOverrides(settings.meetingRules || {});
+
+  columnDraft = resolveColumnTemplate(settings.columnTemplate).map(column => ({ ...column }));
+  renderColumns();
 }
 
 /**
@@ -144,11 +275,12 @@ async function handleDisconnect() {
     // Clear spreadsheet settings
     await chrome.runtime.sendMessage({
       type: 'UPDATE_SETTINGS',
-      settings: { spreadsheetId: null, autoSync: false }
+      settings: { spreadsheetId: null, autoSync: false, liveSync: false }
     });
 
     elements.spreadsheetId.value = '';
     elements.autoSync.checked = false;
+    elements.liveSync.checked = false;
     elements.spreadsheetLink.classList.add('hidden');
 
     updateAuthUI(false);
@@ -166,7 +298,11 @@ async function handleCreateSheet() {
     elements.createSheetBtn.disabled = true;
     elements.createSheetBtn.textContent = 'Creating...';
 
-    const spreadsheet = await sheetsApi.createSpreadsheet();
+    const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const spreadsheet = await sheetsApi.createSpreadsheet(undefined, {
+      layout: settings.sheetLayout,
+      columns: settings.columnTemplate
+    });
     elements.spreadsheetId.value = spreadsheet.spreadsheetId;
 
     await chrome.runtime.sendMessage({
@@ -241,6 +377,339 @@ async function handleAutoSyncChange() {
   showAlert('Auto-sync setting saved', 'success');
 }
 
+/**
+ * Handle live sync toggle
+ */
+async function handleLiveSyncChange() {
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: { liveSync: elements.liveSync.checked }
+  });
+  showAlert('Live sync setting saved', 'success');
+}
+
+/**
+ * Handle sheet layout change (applies to the next sync of each meeting)
+ */
+async function handleSheetLayoutChange() {
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: { sheetLayout: elements.sheetLayout.value }
+  });
+  showAlert('Sheet layout saved', 'success');
+}
+
+/**
+ * Handle sync retry interval change
+ */
+async function handleSyncIntervalChange() {
+  const value = parseInt(elements.syncInterval.value, 10);
+
+  if (isNaN(value) || value < 1 || value > 60) {
+    elements.syncInterval.value = 5;
+    showAlert('Please enter a value between 1 and 60', 'error');
+    return;
+  }
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: { syncInterval: value }
+  });
+  showAlert('Retry interval saved', 'success');
+}
+
+/**
+ * Load and render the pending/failed sync queue
+ */
+async function loadSyncQueue() {
+  try {
+    const stats = await chrome.runtime.sendMessage({ type: 'GET_SYNC_QUEUE' });
+    renderSyncQueue(stats);
+  } catch (error) {
+    console.error('Failed to load sync queue:', error);
+  }
+}
+
+/**
+ * Render sync queue counts and entries
+ */
+function renderSyncQueue(stats) {
+  elements.queuePending.textContent = stats.pending;
+  elements.queueFailed.textContent = stats.failed;
+
+  elements.queueList.innerHTML = stats.entries.map(entry => {
+    const next = entry.status === 'failed'
+      ? 'Gave up after ' + entry.attempts + ' attempts'
+      : 'Next attempt ' + new Date(entry.nextAttemptAt).toLocaleString();
+
+    return `
+      <div class="list-item">
+        <div>
+          <div class="list-item-title">${escapeHtml(entry.sessionId)}</div>
+          <div class="help-text">${escapeHtml(entry.lastError) || 'Waiting to sync'}</div>
+        </div>
+        <div class="help-text ${entry.status === 'failed' ? 'result-error' : ''}">${next}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Handle retry of all queued syncs
+ */
+async function handleRetryQueue() {
+  elements.retryQueueBtn.disabled = true;
+
+  try {
+    const stats = await chrome.runtime.sendMessage({ type: 'RETRY_SYNC_QUEUE' });
+    renderSyncQueue(stats);
+    showAlert(
+      stats.entries.length ? 'Some syncs are still failing' : 'All queued syncs completed',
+      stats.entries.length ? 'error' : 'success'
+    );
+  } catch (error) {
+    showAlert('Failed to retry syncs: ' + error.message, 'error');
+  } finally {
+    elements.retryQueueBtn.disabled = false;
+  }
+}
+
+/**
+ * Handle messages broadcast by the background service worker
+ */
+function handleRuntimeMessage(message) {
+  if (message.type === 'SYNC_PROGRESS') {
+    elements.syncProgress.textContent = `Syncing ${message.done} of ${message.total}...`;
+  }
+}
+
+/**
+ * Handle sync of all meetings that are not in the spreadsheet yet
+ */
+async function handleSyncUnsynced() {
+  elements.syncUnsyncedBtn.disabled = true;
+  elements.syncReport.innerHTML = '';
+  elements.syncProgress.textContent = 'Checking spreadsheet...';
+  elements.syncProgress.classList.remove('hidden');
+
+  try {
+    const unsynced = await chrome.runtime.sendMessage({ type: 'GET_UNSYNCED_MEETINGS' });
+    if (unsynced.error) {
+      throw new Error(unsynced.error);
+    }
+
+    if (unsynced.length === 0) {
+      elements.syncProgress.textContent = 'All meetings are already synced.';
+      return;
+    }
+
+    elements.syncProgress.textContent = `Syncing 0 of ${unsynced.length}...`;
+    const results = await chrome.runtime.sendMessage({
+      type: 'SYNC_MEETINGS',
+      sessionIds: unsynced.map(m => m.sessionId)
+    });
+    if (results.error) {
+      throw new Error(results.error);
+    }
+
+    renderSyncReport(unsynced, results);
+
+    const failed = results.filter(r => !r.success).length;
+    elements.syncProgress.textContent = `Synced ${results.length - failed} of ${results.length} meetings.`;
+    showAlert(
+      failed ? `${failed} meetings failed to sync` : 'All meetings synced!',
+      failed ? 'error' : 'success'
+    );
+  } catch (error) {
+    elements.syncProgress.textContent = '';
+    showAlert('Failed to sync meetings: ' + error.message, 'error');
+  } finally {
+    elements.syncUnsyncedBtn.disabled = false;
+  }
+}
+
+/**
+ * Render the per-meeting result of a bulk sync
+ */
+function renderSyncReport(meetings, results) {
+  const bySession = new Map(results.map(r => [r.sessionId, r]));
+
+  elements.syncReport.innerHTML = meetings.map(meeting => {
+    const result = bySession.get(meeting.sessionId);
+    const date = meeting.startTime ? new Date(meeting.startTime).toLocaleString() : '-';
+    const status = result?.success
+      ? `<span class="result-success">Synced ${result.participantCount} participants</span>`
+      : `<span class="result-error">${escapeHtml(result?.error || 'Not synced')}</span>`;
+
+    return `
+      <div class="list-item">
+        <div>
+          <div class="list-item-title">${escapeHtml(meeting.meetingId)}</div>
+          <div class="help-text">${date}</div>
+        </div>
+        <div class="help-text">${status}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Load and render the participant detection diagnostics report
+ */
+async function loadDiagnostics() {
+  try {
+    const report = await chrome.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+    elements.diagnosticsReport.textContent = formatDiagnosticsReport(report, {
+      version: chrome.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      debugMode: elements.detectionDebug.checked
+    });
+  } catch (error) {
+    console.error('Failed to load diagnostics:', error);
+    elements.diagnosticsReport.textContent = 'Failed to load diagnostics: ' + error.message;
+  }
+}
+
+/**
+ * Handle detection debug mode toggle
+ */
+async function handleDetectionDebugChange() {
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: { detectionDebug: elements.detectionDebug.checked }
+  });
+  showAlert('Debug mode saved (applies from the next meeting)', 'success');
+  await loadDiagnostics();
+}
+
+/**
+ * Copy the diagnostics report to the clipboard
+ */
+async function handleCopyDiagnostics() {
+  await loadDiagnostics();
+
+  try {
+    await navigator.clipboard.writeText(elements.diagnosticsReport.textContent);
+    showAlert('Diagnostics report copied', 'success');
+  } catch (error) {
+    showAlert('Failed to copy: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Load and render the selector profile editor
+ */
+async function loadSelectorProfile() {
+  try {
+    const { profile, isCustom } = await chrome.runtime.sendMessage({ type: 'GET_SELECTOR_PROFILE' });
+    renderSelectorProfile(profile, isCustom);
+  } catch (error) {
+    console.error('Failed to load selector profile:', error);
+  }
+}
+
+/**
+ * Render one textarea per selector field (one selector per line)
+ */
+function renderSelectorProfile(profile, isCustom) {
+  elements.selectorProfileStatus.textContent = isCustom
+    ? 'Using your custom selectors.'
+    : 'Using the built-in selectors.';
+
+  elements.selectorFields.innerHTML = Object.entries(SELECTOR_PROFILE_FIELDS).map(([field, def]) => `
+    <div class="form-group">
+      <label for="selector-${field}">${escapeHtml(def.label)}</label>
+      <textarea id="selector-${field}" class="selector-input" data-field="${field}" spellcheck="false"></textarea>
+      <p class="help-text">${escapeHtml(def.help)}</p>
+    </div>
+  `).join('');
+
+  elements.selectorFields.querySelectorAll('textarea').forEach(textarea => {
+    const selectors = profile[textarea.dataset.field];
+    textarea.value = selectors.join('\n');
+    textarea.rows = Math.max(2, selectors.length);
+  });
+}
+
+/**
+ * Read the selector profile from the editor
+ */
+function readSelectorProfile() {
+  const profile = {};
+  elements.selectorFields.querySelectorAll('textarea').forEach(textarea => {
+    profile[textarea.dataset.field] = textarea.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  });
+  return profile;
+}
+
+/**
+ * Run the edited selectors against the open Meet tab
+ */
+async function handleTestSelectors() {
+  const profile = readSelectorProfile();
+  const error = validateSelectorProfile(profile);
+  if (error) {
+    showAlert(error, 'error');
+    return;
+  }
+
+  elements.testSelectorsBtn.disabled = true;
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'TEST_SELECTOR_PROFILE', profile });
+    if (result.error) {
+      showAlert(result.error, 'error');
+      return;
+    }
+
+    elements.selectorTestResult.textContent = formatSelectorTestResult(result);
+    elements.selectorTestResult.classList.remove('hidden');
+  } catch (error) {
+    showAlert('Failed to test selectors: ' + error.message, 'error');
+  } finally {
+    elements.testSelectorsBtn.disabled = false;
+  }
+}
+
+/**
+ * Save the edited selectors
+ */
+async function handleSaveSelectors() {
+  const profile = readSelectorProfile();
+  const error = validateSelectorProfile(profile);
+  if (error) {
+    showAlert(error, 'error');
+    return;
+  }
+
+  await saveSelectorProfile(profile, 'Selectors saved and applied to open Meet tabs');
+}
+
+/**
+ * Go back to the built-in selectors
+ */
+async function handleResetSelectors() {
+  await saveSelectorProfile(null, 'Selectors reset to the built-in defaults');
+}
+
+/**
+ * Save the selector profile (null resets it) and re-render the editor
+ */
+async function saveSelectorProfile(profile, successMessage) {
+  const result = await chrome.runtime.sendMessage({ type: 'SAVE_SELECTOR_PROFILE', profile });
+
+  if (result.error) {
+    showAlert('Failed to save selectors: ' + result.error, 'error');
+    return;
+  }
+
+  renderSelectorProfile(result.profile, result.isCustom);
+  showAlert(successMessage, 'success');
+}
+
 /**
  * Handle max meetings change
  */
@@ -260,6 +729,391 @@ async function handleMaxMeetingsChange() {
   showAlert('Storage limit saved', 'success');
 }
 
+/**
+ * Render the column template editor and the fields that can still be added
+ */
+function renderColumns() {
+  elements.columnList.innerHTML = columnDraft.map((column, index) => `
+    <div class="list-item column-item">
+      <div>
+        <input type="text" data-index="${index}">
+        <div class="help-text">${escapeHtml(COLUMN_FIELDS[column.field].label)}</div>
+      </div>
+      <div class="column-actions">
+        <button class="text-btn" data-action="up" data-index="${index}" ${index === 0 ? 'disabled' : ''}>Up</button>
+        <button class="text-btn" data-action="down" data-index="${index}" ${index === columnDraft.length - 1 ? 'disabled' : ''}>Down</button>
+        <button class="text-btn" data-action="remove" data-index="${index}">Remove</button>
+      </div>
+    </div>
+  `).join('');
+
+  elements.columnList.querySelectorAll('input').forEach(input => {
+    const column = columnDraft[parseInt(input.dataset.index, 10)];
+    input.value = column.label;
+    input.addEventListener('input', () => {
+      column.label = input.value;
+    });
+  });
+
+  elements.columnList.querySelectorAll('button').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const index = parseInt(btn.dataset.index, 10);
+      if (btn.dataset.action === 'remove') {
+        columnDraft.splice(index, 1);
+      } else {
+        const target = btn.dataset.action === 'up' ? index - 1 : index + 1;
+        [columnDraft[index], columnDraft[target]] = [columnDraft[target], columnDraft[index]];
+      }
+      renderColumns();
+    });
+  });
+
+  const used = new Set(columnDraft.map(column => column.field));
+  elements.columnField.innerHTML = Object.entries(COLUMN_FIELDS)
+    .filter(([field]) => !used.has(field))
+    .map(([field, def]) => `<option value="${field}">${escapeHtml(def.label)}</option>`)
+    .join('');
+  elements.addColumnBtn.disabled = elements.columnField.options.length === 0;
+}
+
+/**
+ * Handle add column
+ */
+function handleAddColumn() {
+  const field = elements.columnField.value;
+  if (!field) return;
+
+  columnDraft.push({ field, label: COLUMN_FIELDS[field].label });
+  renderColumns();
+}
+
+/**
+ * Handle save column template
+ */
+async function handleSaveColumns() {
+  const result = await chrome.runtime.sendMessage({ type: 'SAVE_COLUMN_TEMPLATE', template: columnDraft });
+
+  if (result.error) {
+    showAlert('Failed to save columns: ' + result.error, 'error');
+    return;
+  }
+
+  columnDraft = result.map(column => ({ ...column }));
+  renderColumns();
+  showAlert('Columns saved. Meetings synced from now on use the new columns.', 'success');
+}
+
+/**
+ * Handle reset column template
+ */
+async function handleResetColumns() {
+  columnDraft = DEFAULT_COLUMN_TEMPLATE.map(column => ({ ...column }));
+  await handleSaveColumns();
+}
+
+/**
+ * Load and render saved rosters
+ */
+async function loadRosters() {
+  try {
+    const rosters = await chrome.runtime.sendMessage({ type: 'GET_ROSTERS' });
+
+    elements.rosterList.innerHTML = Object.values(rosters).map(roster => `
+      <div class="list-item">
+        <div>
+          <div class="list-item-title">${escapeHtml(roster.meetingId)}</div>
+          <div class="help-text">${roster.entries.length} expected attendees</div>
+        </div>
+        <div>
+          <button class="text-btn" data-action="edit" data-meeting-id="${escapeHtml(roster.meetingId)}">Edit</button>
+          <button class="text-btn" data-action="delete" data-meeting-id="${escapeHtml(roster.meetingId)}">Delete</button>
+        </div>
+      </div>
+    `).join('');
+
+    elements.rosterList.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const roster = rosters[btn.dataset.meetingId];
+        if (btn.dataset.action === 'edit') {
+          editRoster(roster);
+        } else {
+          handleDeleteRoster(roster.meetingId);
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Failed to load rosters:', error);
+  }
+}
+
+/**
+ * Load a roster into the editor
+ */
+function editRoster(roster) {
+  elements.rosterMeetingId.value = roster.meetingId;
+  elements.rosterText.value = roster.entries
+    .map(e => e.email ? `${e.name},${e.email}` : e.name)
+    .join('\n');
+}
+
+/**
+ * Handle roster CSV file upload
+ */
+async function handleRosterFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  elements.rosterText.value = await file.text();
+  elements.rosterFile.value = '';
+}
+
+/**
+ * Handle save roster
+ */
+async function handleSaveRoster() {
+  const meetingId = elements.rosterMeetingId.value.trim();
+  const csv = elements.rosterText.value;
+
+  if (!/^[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(meetingId)) {
+    showAlert('Please enter a meeting code like abc-defg-hij', 'error');
+    return;
+  }
+
+  const result = await chrome.runtime.sendMessage({
+    type: 'SAVE_ROSTER',
+    meetingId,
+    csv
+  });
+
+  if (result.error) {
+    showAlert('Failed to save roster: ' + result.error, 'error');
+    return;
+  }
+
+  elements.rosterMeetingId.value = '';
+  elements.rosterText.value = '';
+  await loadRosters();
+  showAlert(`Roster saved with ${result.entries.length} attendees`, 'success');
+}
+
+/**
+ * Handle delete roster
+ */
+async function handleDeleteRoster(meetingId) {
+  if (!confirm(`Remove the roster for ${meetingId}?`)) {
+    return;
+  }
+
+  await chrome.runtime.sendMessage({ type: 'DELETE_ROSTER', meetingId });
+  await loadRosters();
+  showAlert('Roster removed', 'success');
+}
+
+/**
+ * Load and render the alias table
+ */
+async function loadAliases() {
+  try {
+    const aliases = await chrome.runtime.sendMessage({ type: 'GET_ALIASES' });
+    renderAliases(aliases);
+  } catch (error) {
+    console.error('Failed to load aliases:', error);
+  }
+}
+
+/**
+ * Render the alias table
+ */
+function renderAliases(aliases) {
+  elements.aliasList.innerHTML = aliases.map((alias, index) => `
+    <div class="list-item">
+      <div>
+        <div class="list-item-title">${escapeHtml(alias.canonical)}</div>
+        <div class="help-text">
+          ${alias.isRegex ? 'matches /' + escapeHtml(alias.pattern) + '/' : escapeHtml(alias.pattern)}
+          ${alias.email ? ' · ' + escapeHtml(alias.email) : ''}
+        </div>
+      </div>
+      <button class="text-btn" data-index="${index}">Delete</button>
+    </div>
+  `).join('');
+
+  elements.aliasList.querySelectorAll('button').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const remaining = aliases.filter((_, i) => i !== parseInt(btn.dataset.index, 10));
+      saveAliases(remaining, 'Alias removed');
+    });
+  });
+}
+
+/**
+ * Handle add alias
+ */
+async function handleAddAlias() {
+  const alias = {
+    pattern: elements.aliasPattern.value.trim(),
+    canonical: elements.aliasCanonical.value.trim(),
+    email: elements.aliasEmail.value.trim() || null,
+    isRegex: elements.aliasIsRegex.checked
+  };
+
+  const aliases = await chrome.runtime.sendMessage({ type: 'GET_ALIASES' });
+  const saved = await saveAliases([...aliases, alias], 'Alias added and applied to stored meetings');
+
+  if (saved) {
+    elements.aliasPattern.value = '';
+    elements.aliasCanonical.value = '';
+    elements.aliasEmail.value = '';
+    elements.aliasIsRegex.checked = false;
+  }
+}
+
+/**
+ * Save the alias table
+ */
+async function saveAliases(aliases, successMessage) {
+  const result = await chrome.runtime.sendMessage({ type: 'SAVE_ALIASES', aliases });
+
+  if (result.error) {
+    showAlert('Failed to save aliases: ' + result.error, 'error');
+    return false;
+  }
+
+  renderAliases(result);
+  showAlert(successMessage, 'success');
+  return true;
+}
+
+/**
+ * Read a rule threshold input (empty means "not set")
+ */
+function readRuleInput(input) {
+  if (input.value.trim() === '') {
+    return null;
+  }
+
+  const value = parseInt(input.value, 10);
+  const max = parseInt(input.max, 10);
+  if (isNaN(value) || value < 0 || value > max) {
+    throw new Error(`Please enter a value between 0 and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Handle save global attendance rules
+ */
+async function handleSaveRules() {
+  const attendanceRules = {};
+
+  try {
+    for (const field of RULE_FIELDS) {
+      attendanceRules[field] = readRuleInput(elements[field]) ?? DEFAULT_RULES[field];
+    }
+  } catch (error) {
+    showAlert(error.message, 'error');
+    return;
+  }
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: { attendanceRules }
+  });
+  showAlert('Attendance rules saved', 'success');
+}
+
+/**
+ * Handle save per meeting code rule override
+ */
+async function handleSaveRuleOverride() {
+  const meetingId = elements.ruleMeetingId.value.trim();
+  const inputs = {
+    lateAfterMinutes: elements.ruleLateAfterMinutes,
+    leftEarlyMinutes: elements.ruleLeftEarlyMinutes,
+    minPresencePercent: elements.ruleMinPresencePercent
+  };
+
+  if (!/^[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(meetingId)) {
+    showAlert('Please enter a meeting code like abc-defg-hij', 'error');
+    return;
+  }
+
+  const override = {};
+  try {
+    for (const field of RULE_FIELDS) {
+      const value = readRuleInput(inputs[field]);
+      if (value !== null) {
+        override[field] = value;
+      }
+    }
+  } catch (error) {
+    showAlert(error.message, 'error');
+    return;
+  }
+
+  const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  const meetingRules = { ...settings.meetingRules, [meetingId]: override };
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: { meetingRules }
+  });
+
+  elements.ruleMeetingId.value = '';
+  Object.values(inputs).forEach(input => { input.value = ''; });
+  renderRuleOverrides(meetingRules);
+  showAlert(`Rules saved for ${meetingId}`, 'success');
+}
+
+/**
+ * Handle delete per meeting code rule override
+ */
+async function handleDeleteRuleOverride(meetingId) {
+  const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  const meetingRules = { ...settings.meetingRules };
+  delete meetingRules[meetingId];
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: { meetingRules }
+  });
+
+  renderRuleOverrides(meetingRules);
+  showAlert(`Rules override removed for ${meetingId}`, 'success');
+}
+
+/**
+ * Render per meeting code rule overrides
+ */
+function renderRuleOverrides(meetingRules) {
+  const labels = {
+    lateAfterMinutes: 'late after',
+    leftEarlyMinutes: 'left early',
+    minPresencePercent: 'min. presence'
+  };
+
+  elements.ruleOverrideList.innerHTML = Object.entries(meetingRules).map(([meetingId, rules]) => {
+    const summary = RULE_FIELDS
+      .filter(field => rules[field] !== undefined)
+      .map(field => `${labels[field]} ${rules[field]}${field === 'minPresencePercent' ? '%' : ' min'}`)
+      .join(', ');
+
+    return `
+      <div class="list-item">
+        <div>
+          <div class="list-item-title">${escapeHtml(meetingId)}</div>
+          <div class="help-text">${escapeHtml(summary) || 'Uses global rules'}</div>
+        </div>
+        <button class="text-btn" data-meeting-id="${escapeHtml(meetingId)}">Delete</button>
+      </div>
+    `;
+  }).join('');
+
+  elements.ruleOverrideList.querySelectorAll('button').forEach(btn => {
+    btn.addEventListener('click', () => handleDeleteRuleOverride(btn.dataset.meetingId));
+  });
+}
+
 /**
  * Load data statistics
  */
@@ -291,13 +1145,7 @@ async function handleExportAll() {
   try {
     const data = await chrome.runtime.sendMessage({ type: 'EXPORT_ALL' });
 
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `meet-attendance-export-${Date.now()}.json`;
-    link.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(new Blob([data], { type: 'application/json' }), `meet-attendance-export-${Date.now()}.json`);
 
     showAlert('Data exported successfully!', 'success');
   } catch (error) {
@@ -305,6 +1153,96 @@ async function handleExportAll() {
   }
 }
 
+/**
+ * Handle export of the filtered meetings to one XLSX workbook
+ */
+async function handleExportXLSX() {
+  const meetingId = readMeetingCodeFilter(elements.xlsxMeetingId);
+  if (meetingId === null) return;
+
+  try {
+    elements.exportXlsxBtn.disabled = true;
+
+    const meetings = await chrome.runtime.sendMessage({
+      type: 'FIND_MEETINGS',
+      filter: { meetingId, from: elements.xlsxFrom.value, to: elements.xlsxTo.value }
+    });
+    if (meetings.length === 0) {
+      showAlert('No meetings match the filter', 'error');
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'EXPORT_MEETINGS_XLSX',
+      sessionIds: meetings.map(meeting => meeting.sessionId)
+    });
+    if (response.error) {
+      showAlert('Failed to export: ' + response.error, 'error');
+      return;
+    }
+
+    downloadBlob(new Blob([fromBase64(response.data)], { type: XLSX_MIME_TYPE }), response.filename);
+    showAlert(`Exported ${response.count} meeting(s)`, 'success');
+  } catch (error) {
+    showAlert('Failed to export: ' + error.message, 'error');
+  } finally {
+    elements.exportXlsxBtn.disabled = false;
+  }
+}
+
+/**
+ * Handle series report export ('csv', 'xlsx' or 'sheet')
+ */
+async function handleExportSeries(format, button) {
+  const meetingId = readMeetingCodeFilter(elements.seriesMeetingId);
+  if (meetingId === null) return;
+
+  try {
+    button.disabled = true;
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'EXPORT_SERIES',
+      filter: {
+        meetingId,
+        tag: elements.seriesTag.value.trim(),
+        from: elements.seriesFrom.value,
+        to: elements.seriesTo.value
+      },
+      mode: elements.seriesMode.value,
+      format
+    });
+    if (response.error) {
+      showAlert('Failed to export: ' + response.error, 'error');
+      return;
+    }
+
+    if (format === 'csv') {
+      downloadBlob(new Blob([response.csv], { type: 'text/csv;charset=utf-8;' }), response.filename);
+    } else if (format === 'xlsx') {
+      downloadBlob(new Blob([fromBase64(response.data)], { type: XLSX_MIME_TYPE }), response.filename);
+    }
+
+    const target = format === 'sheet' ? ` to sheet "${response.title}"` : '';
+    showAlert(`Exported ${response.count} meeting(s)${target}`, 'success');
+  } catch (error) {
+    showAlert('Failed to export: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Read an optional meeting code filter (null when invalid, after alerting)
+ */
+function readMeetingCodeFilter(input) {
+  const meetingId = input.value.trim().toLowerCase();
+  if (meetingId && !/^[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(meetingId)) {
+    showAlert('Please enter a meeting code like abc-defg-hij', 'error');
+    return null;
+  }
+  return meetingId;
+}
+
 /**
  * Handle import data
  */
@@ -5,10 +5,21 @@
 
 import * as storage from '../lib/storage.js';
 import * as sheetsApi from '../lib/sheets-api.js';
+import * as syncQueue from '../lib/sync-queue.js';
+import { buildAttendanceWorkbook } from '../lib/attendance-workbook.js';
+import { buildAttendanceMatrix, matrixToCSV } from '../lib/attendance-matrix.js';
+import { createWorkbook, toBase64 } from '../lib/xlsx.js';
+import { resolveSelectorProfile, validateSelectorProfile } from '../lib/selector-profile.js';
+
+const SYNC_ALARM = 'syncQueue';
+const LIVE_SYNC_WINDOW_MS = 10000;
 
 // Track active meetings per tab
 const activeMeetings = new Map();
 
+// Live sync state per session: events already streamed and rows awaiting the next flush
+const liveSyncSessions = new Map();
+
 /**
  * Handle messages from content scripts and popup
  */
@@ -35,26 +46,68 @@ async function handleMessage(message, sender) {
     case 'ATTENDANCE_UPDATE':
       return handleAttendanceUpdate(message, tabId);
 
+    case 'MEETING_TITLE':
+      return handleMeetingTitle(message, tabId);
+
+    case 'DETECTION_DIAGNOSTICS':
+      return handleDetectionDiagnostics(message, tabId);
+
+    case 'GET_DIAGNOSTICS':
+      return getDiagnostics();
+
+    case 'GET_SELECTOR_PROFILE':
+      return getSelectorProfile();
+
+    case 'SAVE_SELECTOR_PROFILE':
+      return saveSelectorProfile(message.profile);
+
+    case 'TEST_SELECTOR_PROFILE':
+      return testSelectorProfile(message.profile);
+
     case 'GET_CURRENT_MEETING':
       return getCurrentMeetingStatus(tabId);
 
     case 'GET_MEETING_HISTORY':
       return getMeetingHistory(message.limit);
 
+    case 'GET_MEETING_GROUPS':
+      return storage.getMeetingGroups(message.limit);
+
     case 'GET_MEETING':
-      return storage.getMeeting(message.meetingId);
+      return storage.getMeetingReport(message.sessionId);
 
     case 'DELETE_MEETING':
-      return storage.deleteMeeting(message.meetingId);
+      return storage.deleteMeeting(message.sessionId);
+
+    case 'DELETE_MEETINGS':
+      return storage.deleteMeetings(message.sessionIds);
 
     case 'EXPORT_MEETING_CSV':
-      return exportMeetingCSV(message.meetingId);
+      return exportMeetingCSV(message.sessionId, message.mode);
+
+    case 'EXPORT_MEETINGS_CSV':
+      return exportMeetingsCSV(message.sessionIds);
+
+    case 'EXPORT_MEETINGS_XLSX':
+      return exportMeetingsXLSX(message.sessionIds);
+
+    case 'EXPORT_SERIES':
+      return exportSeries(message.filter, message.mode, message.format);
+
+    case 'FIND_MEETINGS':
+      return storage.findMeetings(message.filter);
+
+    case 'GET_MEETING_PAGE':
+      return storage.getMeetingPage(message.filter, message.page, message.pageSize);
+
+    case 'GET_MEETING_REPORTS':
+      return getMeetingReports((await storage.findMeetings(message.filter)).map(m => m.sessionId));
 
     case 'GET_SETTINGS':
       return storage.getSettings();
 
     case 'UPDATE_SETTINGS':
-      return storage.updateSettings(message.settings);
+      return updateSettings(message.settings);
 
     case 'EXPORT_ALL':
       return storage.exportAllMeetings();
@@ -65,6 +118,50 @@ async function handleMessage(message, sender) {
     case 'CLEAR_ALL_MEETINGS':
       return storage.clearAllMeetings();
 
+    case 'SYNC_MEETING':
+      return syncMeetingToSheets(message.sessionId);
+
+    case 'SYNC_MEETINGS':
+      return syncMeetingsToSheets(message.sessionIds);
+
+    case 'GET_UNSYNCED_MEETINGS':
+      return getUnsyncedMeetings();
+
+    case 'GET_SYNC_QUEUE':
+      return syncQueue.getQueueStats();
+
+    case 'GET_LIVE_SYNC_STATUS':
+      return getLiveSyncStatus(message.sessionId);
+
+    case 'RETRY_SYNC_QUEUE':
+      await syncQueue.retryAll();
+      await processSyncQueue();
+      return syncQueue.getQueueStats();
+
+    case 'GET_ROSTERS':
+      return storage.getRosters();
+
+    case 'SAVE_ROSTER':
+      return storage.saveRoster(message.meetingId, message.csv);
+
+    case 'DELETE_ROSTER':
+      return storage.deleteRoster(message.meetingId);
+
+    case 'GET_ALIASES':
+      return storage.getAliases();
+
+    case 'SAVE_ALIASES':
+      return storage.saveAliases(message.aliases);
+
+    case 'SAVE_COLUMN_TEMPLATE':
+      return storage.saveColumnTemplate(message.template);
+
+    case 'UPDATE_MEETING_DETAILS':
+      return storage.updateMeetingDetails(message.sessionId, message.details);
+
+    case 'MERGE_PARTICIPANTS':
+      return storage.mergeMeetingParticipants(message.sessionId, message.participantKeys, message.name);
+
     default:
       console.warn('[Background] Unknown message type:', message.type);
       return { error: 'Unknown message type' };
@@ -75,10 +172,14 @@ async function handleMessage(message, sender) {
  * Handle meeting start
  */
 async function handleMeetingStarted(message, tabId) {
-  console.log('[Background] Meeting started:', message.meetingId);
+  // Session IDs are only created here, so content script and storage keys can't diverge
+  const sessionId = storage.createSessionId(message.meetingId, message.startTime);
+  console.log('[Background] Meeting started:', message.meetingId, sessionId);
 
   const meetingData = {
+    sessionId,
     meetingId: message.meetingId,
+    title: message.title || '',
     startTime: message.startTime,
     endTime: null,
     url: message.url,
@@ -98,31 +199,24 @@ async function handleMeetingStarted(message, tabId) {
   // Update badge to show tracking
   updateBadge(tabId, 'ON', '#1a73e8');
 
-  return { success: true, meetingId: message.meetingId };
+  const settings = await storage.getSettings();
+  if (settings.liveSync && settings.spreadsheetId) {
+    startLiveSync(sessionId, settings.spreadsheetId).catch(err => {
+      console.warn('[Background] Live sync start failed:', err);
+    });
+  }
+
+  return { success: true, sessionId, meetingId: message.meetingId };
 }
 
 /**
  * Handle meeting end
  */
 async function handleMeetingEnded(message, tabId) {
-  console.log('[Background] Meeting ended:', message.meetingId);
+  const sessionId = resolveSessionId(message, tabId);
+  console.log('[Background] Meeting ended:', message.meetingId, sessionId);
 
-  const meetingData = {
-    meetingId: message.meetingId,
-    endTime: message.endTime,
-    participants: message.participants
-  };
-
-  // Get existing meeting data
-  const existing = await storage.getMeeting(message.meetingId);
-  if (existing) {
-    const updated = {
-      ...existing,
-      ...meetingData,
-      endTime: message.endTime
-    };
-    await storage.saveMeeting(updated);
-  }
+  await storage.endMeeting(sessionId, message.participants, message.endTime);
 
   // Clear current meeting
   await storage.clearCurrentMeeting();
@@ -135,18 +229,13 @@ async function handleMeetingEnded(message, tabId) {
   // Update badge
   updateBadge(tabId, '', '');
 
-  // Auto-sync to Google Sheets if enabled
+  // Auto-sync to Google Sheets if enabled (live sync is finalised the same way):
+  // queue it so a failed attempt (offline, expired token) is retried on the sync alarm
+  stopLiveSync(sessionId);
   const settings = await storage.getSettings();
-  if (settings.autoSync && settings.spreadsheetId) {
-    try {
-      const meeting = await storage.getMeeting(message.meetingId);
-      if (meeting) {
-        await sheetsApi.syncMeeting(settings.spreadsheetId, meeting);
-        console.log('[Background] Auto-synced meeting to Sheets:', message.meetingId);
-      }
-    } catch (err) {
-      console.warn('[Background] Auto-sync failed:', err);
-    }
+  if ((settings.autoSync || settings.liveSync) && settings.spreadsheetId) {
+    await syncQueue.enqueue(sessionId);
+    await processSyncQueue();
   }
 
   return { success: true };
@@ -156,7 +245,8 @@ async function handleMeetingEnded(message, tabId) {
  * Handle attendance updates
  */
 async function handleAttendanceUpdate(message, tabId) {
-  const { meetingId, participants, action, data } = message;
+  const { participants, action, data } = message;
+  const sessionId = resolveSessionId(message, tabId);
 
   // Update in-memory tracking
   if (tabId && activeMeetings.has(tabId)) {
@@ -166,10 +256,17 @@ async function handleAttendanceUpdate(message, tabId) {
   }
 
   // Save to storage
-  await storage.updateMeetingParticipants(meetingId, participants);
+  const meeting = await storage.updateMeetingParticipants(sessionId, participants);
 
-  // Update badge with participant count
-  const count = Object.keys(participants).length;
+  const settings = await storage.getSettings();
+  if (meeting && settings.liveSync && settings.spreadsheetId) {
+    streamLiveEvents(sessionId, settings.spreadsheetId).catch(err => {
+      console.warn('[Background] Live sync failed:', err);
+    });
+  }
+
+  // Update badge with the participant count after merges and aliases
+  const count = Object.keys(await storage.getResolvedParticipants({ ...meeting, participants })).length;
   updateBadge(tabId, count.toString(), '#1a73e8');
 
   // Log the event
@@ -178,6 +275,267 @@ async function handleAttendanceUpdate(message, tabId) {
   return { success: true };
 }
 
+/**
+ * Handle the meeting title captured from the Meet UI
+ */
+async function handleMeetingTitle(message, tabId) {
+  const sessionId = resolveSessionId(message, tabId);
+
+  if (tabId && activeMeetings.has(tabId) && !activeMeetings.get(tabId).title) {
+    activeMeetings.get(tabId).title = message.title;
+  }
+
+  const stored = await storage.setCapturedMeetingTitle(sessionId, message.title);
+  if (stored) {
+    console.log('[Background] Meeting title:', message.title);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Handle selector statistics from the content script
+ * Flags the badge while no participant selector has matched for a while.
+ */
+async function handleDetectionDiagnostics(message, tabId) {
+  const { diagnostics } = message;
+
+  await storage.saveDiagnostics({
+    meetingId: message.meetingId,
+    sessionId: message.sessionId,
+    tabId,
+    diagnostics
+  });
+
+  // Only flag meetings still running in this tab (the last report arrives after the end)
+  if (tabId && activeMeetings.has(tabId)) {
+    if (diagnostics.warning) {
+      console.warn('[Background] Participant detection is not matching anything:', message.sessionId);
+      updateBadge(tabId, '!', '#f9ab00');
+    } else {
+      const count = Object.keys(await storage.getResolvedParticipants(activeMeetings.get(tabId))).length;
+      updateBadge(tabId, count.toString(), '#1a73e8');
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * Get detection diagnostics, fresh from the meeting tab when one is being tracked
+ */
+async function getDiagnostics() {
+  const report = await storage.getDiagnostics();
+
+  if (report?.tabId && activeMeetings.has(report.tabId)) {
+    try {
+      const diagnostics = await chrome.tabs.sendMessage(report.tabId, { type: 'GET_DIAGNOSTICS' });
+      if (diagnostics) {
+        return { ...report, diagnostics, live: true };
+      }
+    } catch (err) {
+      // The tab is gone or the content script was reloaded: use the stored report
+    }
+  }
+
+  return report ? { ...report, live: false } : null;
+}
+
+/**
+ * Get the selector profile the content script uses, with built-in defaults filled in
+ */
+async function getSelectorProfile() {
+  const settings = await storage.getSettings();
+  return {
+    profile: resolveSelectorProfile(settings.selectorProfile),
+    isCustom: !!settings.selectorProfile
+  };
+}
+
+/**
+ * Save the selector profile (null resets it) and apply it to open Meet tabs right away
+ */
+async function saveSelectorProfile(profile) {
+  await storage.saveSelectorProfile(profile);
+  const result = await getSelectorProfile();
+
+  const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, { type: 'SELECTOR_PROFILE_UPDATED', profile: result.profile }).catch(() => {
+      // No content script in this tab (e.g. the Meet landing page before reload)
+    });
+  }
+
+  console.log('[Background] Selector profile', profile ? 'saved' : 'reset to defaults');
+  return result;
+}
+
+/**
+ * Test a selector profile against the tracked meeting tab (or any open Meet tab)
+ */
+async function testSelectorProfile(profile) {
+  const error = validateSelectorProfile(profile);
+  if (error) {
+    return { error };
+  }
+
+  let tabId = activeMeetings.keys().next().value;
+  if (!tabId) {
+    const [tab] = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+    tabId = tab?.id;
+  }
+  if (!tabId) {
+    return { error: 'Open a Google Meet call to test selectors' };
+  }
+
+  try {
+    return await chrome.tabs.sendMessage(tabId, {
+      type: 'TEST_SELECTORS',
+      profile: resolveSelectorProfile(profile)
+    });
+  } catch (err) {
+    return { error: 'The Meet tab did not respond. Reload it and try again.' };
+  }
+}
+
+/**
+ * Start live sync: write the Meetings row right away
+ */
+async function startLiveSync(sessionId, spreadsheetId) {
+  await beginLiveSync(sessionId, spreadsheetId).ready;
+  console.log('[Background] Live sync started:', sessionId);
+}
+
+/**
+ * Create the live sync state of a session and write all its rows once
+ * Streaming waits for state.ready: events the upsert wrote are marked as sent,
+ * so they aren't appended a second time.
+ */
+function beginLiveSync(sessionId, spreadsheetId) {
+  const state = { sent: new Map(), rows: [], timer: null, ready: null };
+  liveSyncSessions.set(sessionId, state);
+
+  state.ready = (async () => {
+    try {
+      const meeting = await storage.getMeetingReport(sessionId);
+      await queueStaleSessions(await sheetsApi.syncMeeting(spreadsheetId, meeting, await getSyncOptions()));
+      for (const [key, p] of Object.entries(meeting.participants)) {
+        state.sent.set(key, (p.events || []).length);
+      }
+    } catch (err) {
+      await failLiveSync(sessionId, state, err);
+      throw err;
+    }
+  })();
+
+  return state;
+}
+
+/**
+ * Stop streaming a session whose rows could not be written and queue it instead
+ * Appending to a sheet the session was never written to would fail or leave gaps;
+ * the queued sync writes all its rows, and the popup shows the error meanwhile.
+ */
+async function failLiveSync(sessionId, state, err) {
+  console.warn('[Background] Live sync failed, queued for a full sync:', sessionId, err);
+  state.error = err.message;
+  clearTimeout(state.timer);
+  state.timer = null;
+  state.rows = [];
+  await syncQueue.enqueue(sessionId);
+}
+
+/**
+ * Get the live sync state of a session for the popup
+ */
+function getLiveSyncStatus(sessionId) {
+  const state = liveSyncSessions.get(sessionId);
+  return { active: !!state, error: state?.error || null };
+}
+
+/**
+ * Queue join/leave events not streamed yet and schedule a batched append
+ * Rows may drift (e.g. when a merge or alias combines participants); the upsert
+ * at meeting end rewrites all rows of the session anyway.
+ */
+async function streamLiveEvents(sessionId, spreadsheetId) {
+  let state = liveSyncSessions.get(sessionId);
+
+  // The service worker restarted mid-meeting: resync everything once, then stream
+  if (!state) {
+    await beginLiveSync(sessionId, spreadsheetId).ready;
+    return;
+  }
+
+  // Stopped meanwhile, or failed: then the queued sync covers the session (see failLiveSync)
+  await state.ready.catch(() => {});
+  if (liveSyncSessions.get(sessionId) !== state || state.error) {
+    return;
+  }
+
+  // Rows carry the report's names and statuses, like the upsert at meeting end
+  const meeting = await storage.getMeetingReport(sessionId);
+  if (!meeting) return;
+  const { layout, columns } = await getSyncOptions();
+
+  for (const [key, p] of Object.entries(meeting.participants)) {
+    const events = p.events || [];
+    const sent = state.sent.get(key) || 0;
+    for (const event of events.slice(sent)) {
+      state.rows.push(sheetsApi.buildEventRow(meeting, key, p, event, columns));
+    }
+    state.sent.set(key, events.length);
+  }
+
+  if (state.rows.length > 0 && !state.timer) {
+    const title = sheetsApi.getEventSheetTitle(meeting, layout);
+    state.timer = setTimeout(() => flushLiveSync(sessionId, spreadsheetId, title), LIVE_SYNC_WINDOW_MS);
+  }
+}
+
+/**
+ * Append the rows collected during the batching window to the event sheet
+ */
+async function flushLiveSync(sessionId, spreadsheetId, title) {
+  const state = liveSyncSessions.get(sessionId);
+  if (!state) return;
+
+  const rows = state.rows;
+  state.rows = [];
+  state.timer = null;
+  if (rows.length === 0) return;
+
+  try {
+    await sheetsApi.appendSessionRows(spreadsheetId, title, rows);
+  } catch (err) {
+    await failLiveSync(sessionId, state, err);
+  }
+}
+
+/**
+ * Stop live sync for a session (pending rows are covered by the final upsert)
+ */
+function stopLiveSync(sessionId) {
+  const state = liveSyncSessions.get(sessionId);
+  if (state) {
+    clearTimeout(state.timer);
+    liveSyncSessions.delete(sessionId);
+  }
+}
+
+/**
+ * Resolve the session a content script message belongs to
+ */
+function resolveSessionId(message, tabId) {
+  if (message.sessionId) {
+    return message.sessionId;
+  }
+  if (tabId && activeMeetings.has(tabId)) {
+    return activeMeetings.get(tabId).sessionId;
+  }
+  return message.meetingId;
+}
+
 /**
  * Get current meeting status
  */
@@ -206,16 +564,270 @@ async function getMeetingHistory(limit = 50) {
 }
 
 /**
- * Export meeting to CSV
+ * Export meeting session to CSV
+ * mode 'events' (default) writes one row per join/leave, 'summary' one row per participant
  */
-async function exportMeetingCSV(meetingId) {
-  const meeting = await storage.getMeeting(meetingId);
+async function exportMeetingCSV(sessionId, mode = 'events') {
+  const meeting = await storage.getMeetingReport(sessionId);
   if (!meeting) {
     return { error: 'Meeting not found' };
   }
 
-  const csv = storage.meetingToCSV(meeting);
-  return { csv, meetingId, filename: `attendance_${meetingId}_${Date.now()}.csv` };
+  const isSummary = mode === 'summary';
+  const { columnTemplate } = await storage.getSettings();
+  const csv = isSummary
+    ? storage.meetingSummaryToCSV(meeting)
+    : storage.meetingToCSV(meeting, columnTemplate);
+  return {
+    csv,
+    sessionId,
+    meetingId: meeting.meetingId,
+    filename: `attendance_${sessionId}${isSummary ? '_summary' : ''}.csv`
+  };
+}
+
+/**
+ * Get meeting reports for session IDs (sessions deleted meanwhile are skipped)
+ */
+async function getMeetingReports(sessionIds) {
+  const meetings = [];
+  for (const sessionId of sessionIds || []) {
+    const meeting = await storage.getMeetingReport(sessionId);
+    if (meeting) {
+      meetings.push(meeting);
+    }
+  }
+  return meetings;
+}
+
+/**
+ * Export the attendance matrix of the meetings matching a filter
+ * format: 'csv', 'xlsx' (base64 encoded) or 'sheet' (a new sheet in the configured spreadsheet)
+ */
+async function exportSeries(filter, mode, format) {
+  const found = await storage.findMeetings(filter);
+  const meetings = await getMeetingReports(found.map(meeting => meeting.sessionId));
+  if (meetings.length === 0) {
+    return { error: 'No meetings match the filter' };
+  }
+
+  const matrix = buildAttendanceMatrix(meetings, mode);
+  const label = (filter?.meetingId || filter?.tag || 'all').replace(/[^\p{L}\p{N}_-]+/gu, '_');
+  const date = new Date().toISOString().slice(0, 10);
+  const filename = `attendance_series_${label}_${date}`;
+
+  switch (format) {
+    case 'csv':
+      return { csv: matrixToCSV(matrix), count: meetings.length, filename: `${filename}.csv` };
+
+    case 'xlsx':
+      return {
+        data: toBase64(createWorkbook([{ name: 'Attendance Matrix', ...matrix }])),
+        count: meetings.length,
+        filename: `${filename}.xlsx`
+      };
+
+    case 'sheet': {
+      const spreadsheetId = await getSpreadsheetId();
+      const title = await sheetsApi.addSheetWithRows(spreadsheetId, `Series ${label} ${date}`, matrix.headers, matrix.rows);
+      return { title, count: meetings.length, spreadsheetId };
+    }
+
+    default:
+      return { error: 'Unknown export format' };
+  }
+}
+
+/**
+ * Export meeting sessions as an XLSX workbook (base64 encoded for messaging)
+ */
+async function exportMeetingsXLSX(sessionIds) {
+  const meetings = await getMeetingReports(sessionIds);
+  if (meetings.length === 0) {
+    return { error: 'No meetings to export' };
+  }
+
+  const filename = meetings.length === 1
+    ? `attendance_${meetings[0].sessionId}.xlsx`
+    : `attendance_${meetings.length}_meetings_${new Date().toISOString().slice(0, 10)}.xlsx`;
+
+  const { columnTemplate } = await storage.getSettings();
+  return {
+    data: toBase64(buildAttendanceWorkbook(meetings, columnTemplate)),
+    count: meetings.length,
+    filename
+  };
+}
+
+/**
+ * Export several meeting sessions to one event CSV
+ */
+async function exportMeetingsCSV(sessionIds) {
+  const meetings = await getMeetingReports(sessionIds);
+  if (meetings.length === 0) {
+    return { error: 'No meetings to export' };
+  }
+
+  const { columnTemplate } = await storage.getSettings();
+  return {
+    csv: storage.meetingsToCSV(meetings, columnTemplate),
+    count: meetings.length,
+    filename: `attendance_${meetings.length}_meetings_${new Date().toISOString().slice(0, 10)}.csv`
+  };
+}
+
+/**
+ * Get the configured spreadsheet ID or fail with a user-facing error
+ */
+async function getSpreadsheetId() {
+  const settings = await storage.getSettings();
+  if (!settings.spreadsheetId) {
+    throw new Error('No spreadsheet configured. Set one up in the settings page.');
+  }
+  return settings.spreadsheetId;
+}
+
+/**
+ * Get the sheet layout and column template to sync with
+ */
+async function getSyncOptions() {
+  const settings = await storage.getSettings();
+  return { layout: settings.sheetLayout, columns: settings.columnTemplate };
+}
+
+/**
+ * Sync one meeting session to Google Sheets
+ */
+async function syncMeetingToSheets(sessionId) {
+  const spreadsheetId = await getSpreadsheetId();
+  const meeting = await storage.getMeetingReport(sessionId);
+  if (!meeting) {
+    throw new Error('Meeting not found');
+  }
+
+  const result = await sheetsApi.syncMeeting(spreadsheetId, meeting, await getSyncOptions());
+  await storage.markMeetingSynced(sessionId);
+  await queueStaleSessions(result);
+  return result;
+}
+
+/**
+ * Queue the sessions a sync found written under an earlier column template,
+ * so their rows are rewritten in the current columns
+ */
+async function queueStaleSessions(result) {
+  const staleSessionIds = result?.staleSessionIds || [];
+  if (staleSessionIds.length === 0) {
+    return;
+  }
+
+  console.log('[Background] Column template changed, resyncing sessions:', staleSessionIds.length);
+  for (const sessionId of staleSessionIds) {
+    await syncQueue.enqueue(sessionId);
+  }
+  processSyncQueue().catch(err => {
+    console.warn('[Background] Failed to resync sessions:', err);
+  });
+}
+
+/**
+ * Sync a queued meeting session (sessions deleted meanwhile are dropped)
+ */
+async function syncQueuedMeeting(sessionId) {
+  const meeting = await storage.getMeeting(sessionId);
+  if (!meeting) {
+    console.log('[Background] Dropping queued sync of deleted meeting:', sessionId);
+    return;
+  }
+
+  await syncMeetingToSheets(sessionId);
+  console.log('[Background] Synced queued meeting to Sheets:', sessionId);
+
+  // A live sync that failed starts over with the next attendance update
+  if (liveSyncSessions.get(sessionId)?.error) {
+    stopLiveSync(sessionId);
+  }
+}
+
+/**
+ * Retry due syncs from the persistent queue
+ */
+async function processSyncQueue() {
+  const settings = await storage.getSettings();
+  const results = await syncQueue.processQueue(syncQueuedMeeting, settings.syncInterval);
+
+  if (results.failed) {
+    console.warn('[Background] Queued syncs failed, will retry:', results.failed);
+  }
+  return results;
+}
+
+/**
+ * Create (or re-create) the sync alarm from the syncInterval setting
+ */
+async function scheduleSyncAlarm() {
+  const settings = await storage.getSettings();
+  const period = Math.max(1, settings.syncInterval);
+  const alarm = await chrome.alarms.get(SYNC_ALARM);
+
+  if (!alarm || alarm.periodInMinutes !== period) {
+    await chrome.alarms.create(SYNC_ALARM, { periodInMinutes: period });
+    console.log('[Background] Sync alarm scheduled every', period, 'minutes');
+  }
+}
+
+/**
+ * Update settings, rescheduling the sync alarm when the interval changes
+ */
+async function updateSettings(newSettings) {
+  const updated = await storage.updateSettings(newSettings);
+  if ('syncInterval' in newSettings) {
+    await scheduleSyncAlarm();
+  }
+  return updated;
+}
+
+/**
+ * Sync several meeting sessions, broadcasting SYNC_PROGRESS after each one
+ */
+async function syncMeetingsToSheets(sessionIds) {
+  const spreadsheetId = await getSpreadsheetId();
+  const options = await getSyncOptions();
+
+  const meetings = await getMeetingReports(sessionIds);
+
+  const results = await sheetsApi.syncAllMeetings(spreadsheetId, meetings, (done, total, result) => {
+    chrome.runtime.sendMessage({ type: 'SYNC_PROGRESS', done, total, result }).catch(() => {
+      // No page is listening for progress
+    });
+  }, options);
+
+  for (const result of results) {
+    if (result.success) {
+      await storage.markMeetingSynced(result.sessionId);
+      await queueStaleSessions(result);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get finished meeting sessions that are not in the spreadsheet yet
+ * Rejects when the spreadsheet cannot be read (the options page shows the error)
+ */
+async function getUnsyncedMeetings() {
+  const spreadsheetId = await getSpreadsheetId();
+  const syncedIds = new Set(await sheetsApi.getSyncedMeetingIds(spreadsheetId));
+  const history = await storage.getMeetingHistory(Infinity);
+
+  return history
+    .filter(meeting => meeting.endTime && !syncedIds.has(meeting.sessionId))
+    .map(meeting => ({
+      sessionId: meeting.sessionId,
+      meetingId: meeting.meetingId,
+      startTime: meeting.startTime
+    }));
 }
 
 /**
@@ -243,7 +855,7 @@ function updateBadge(tabId, text, color) {
 chrome.tabs.onRemoved.addListener((tabId) => {
   if (activeMeetings.has(tabId)) {
     const meeting = activeMeetings.get(tabId);
-    console.log('[Background] Tab closed, ending meeting:', meeting.meetingId);
+    console.log('[Background] Tab closed, ending meeting:', meeting.sessionId);
 
     // Mark all participants as left
     const endTime = new Date().toISOString();
@@ -254,10 +866,16 @@ chrome.tabs.onRemoved.addListener((tabId) => {
       }
     }
 
-    // Save final state
-    storage.saveMeeting({
-      ...meeting,
-      endTime
+    // Save final state, then sync it like a meeting that ended in the tab
+    storage.endMeeting(meeting.sessionId, meeting.participants, endTime).then(async () => {
+      stopLiveSync(meeting.sessionId);
+      const settings = await storage.getSettings();
+      if ((settings.autoSync || settings.liveSync) && settings.spreadsheetId) {
+        await syncQueue.enqueue(meeting.sessionId);
+        await processSyncQueue();
+      }
+    }).catch(err => {
+      console.warn('[Background] Failed to finalise closed meeting:', err);
     });
 
     activeMeetings.delete(tabId);
@@ -276,6 +894,30 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     await storage.updateSettings({});
     console.log('[Background] Default settings initialized');
   }
+
+  try {
+    const result = await storage.migrateStorage();
+    if (result.migrated) {
+      console.log('[Background] Stored meetings migrated from schema', result.from, 'to', result.version);
+    }
+  } catch (error) {
+    console.error('[Background] Storage migration failed, stored meetings left unchanged:', error);
+  }
+});
+
+/**
+ * Retry queued syncs on the sync alarm
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SYNC_ALARM) {
+    processSyncQueue().catch(err => {
+      console.warn('[Background] Sync queue processing failed:', err);
+    });
+  }
+});
+
+scheduleSyncAlarm().catch(err => {
+  console.warn('[Background] Failed to schedule the sync alarm:', err);
 });
 
 /**
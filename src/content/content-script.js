@@ -8,50 +8,148 @@
 
   // State
   let currentMeetingId = null;
+  let currentSessionId = null;
+  let currentMeetingTitle = null;
   let participants = {};
   let observer = null;
   let pollingInterval = null;
   let isTracking = false;
+  let debugMode = false;
+  let diagnostics = null;
+
+  // Selector profile (participant, name, email, self, panel, callEnded, returnHome,
+  // meetingControls, meetingTitle), loaded from the background when tracking starts.
+  // Google Meet's DOM changes frequently, so users can edit it in the options page.
+  let selectors = null;
+
+  // Warn when no selector has found anyone for this long during a meeting
+  const NO_MATCH_WARNING_MS = 60 * 1000;
+
+  // How often selector statistics are reported to the background (ms)
+  const DIAGNOSTICS_REPORT_MS = 30 * 1000;
+
+  // Translated Meet UI labels, keyed by UI language. They are only a fallback:
+  // detection tries locale-independent attributes and icon names first.
+  //   people:      label of the toolbar button that opens the participant panel (exact match)
+  //   participant: substring of the participant panel's aria-label
+  //   microphone:  substring of the microphone button's aria-label
+  const UI_LABELS = {
+    en: { people: ['People', 'Participants', 'Show everyone'], participant: ['participant'], microphone: ['microphone'] },
+    ko: { people: ['사용자', '참여자', '모든 사용자 표시'], participant: ['참가자', '참여자'], microphone: ['마이크'] },
+    ja: { people: ['ユーザー', '参加者', 'すべてのユーザーを表示'], participant: ['参加者'], microphone: ['マイク'] },
+    'zh-CN': { people: ['用户', '参与者', '显示所有人'], participant: ['参与者'], microphone: ['麦克风'] },
+    'zh-TW': { people: ['使用者', '參與者', '顯示所有人'], participant: ['參與者'], microphone: ['麥克風'] },
+    de: { people: ['Personen', 'Teilnehmer', 'Alle anzeigen'], participant: ['Teilnehmer'], microphone: ['Mikrofon'] },
+    es: { people: ['Personas', 'Participantes', 'Mostrar a todos'], participant: ['participante'], microphone: ['micrófono'] },
+    fr: { people: ['Personnes', 'Participants', 'Afficher tout le monde'], participant: ['participant'], microphone: ['micro'] },
+    pt: { people: ['Pessoas', 'Participantes', 'Mostrar todos'], participant: ['participante'], microphone: ['microfone'] },
+    it: { people: ['Persone', 'Partecipanti', 'Mostra tutti'], participant: ['partecipant'], microphone: ['microfono'] },
+    nl: { people: ['Personen', 'Deelnemers', 'Iedereen weergeven'], participant: ['deelnemer'], microphone: ['microfoon'] },
+    ru: { people: ['Пользователи', 'Участники', 'Показать всех'], participant: ['участник'], microphone: ['микрофон'] }
+  };
+
+  // Material icon names inside Meet's toolbar buttons (not translated)
+  const PEOPLE_ICONS = ['people', 'group', 'people_outline'];
+  const MICROPHONE_ICONS = ['mic', 'mic_off', 'mic_none'];
+  const LEAVE_CALL_ICONS = ['call_end'];
+  const CALL_CONTROL_ICONS = [...MICROPHONE_ICONS, ...LEAVE_CALL_ICONS];
 
-  // Multiple selectors for participant detection (Google Meet DOM changes frequently)
-  const PARTICIPANT_SELECTORS = [
-    'div[role="listitem"][aria-label]',  // Most reliable - participant list item with name in aria-label
-    '.KV1GEc',  // Participant container
-    '[data-self-name]'
-  ];
-
-  // Selectors for participant panel (includes Korean locale support)
-  const PANEL_SELECTORS = [
-    '[aria-label*="participant"]',
-    '[aria-label*="참가자"]',
-    '.VfPpkd-Bz112c-LgbsSe',
-    '[data-panel-id="5"]',  // People panel
-    '.TNczGb'  // Panel container
-  ];
+  /**
+   * Get the labels of one kind for the page language first, then for all other languages
+   */
+  function getUiLabels(kind) {
+    const lang = document.documentElement.lang || 'en';
+    const preferred = UI_LABELS[lang] || UI_LABELS[lang.split('-')[0]] || UI_LABELS.en;
+    const all = [preferred, ...Object.values(UI_LABELS)].flatMap(labels => labels[kind]);
+    return [...new Set(all)];
+  }
 
   /**
-   * Auto-open participant panel once to initialize DOM elements, then close it
+   * Build case-insensitive aria-label substring selectors for translated labels
+   */
+  function ariaLabelSelectors(kind) {
+    return getUiLabels(kind).map(label => `[aria-label*="${label}" i]`);
+  }
+
+  /**
+   * Get the participant panel selectors: the profile's structural selectors first,
+   * translated labels last
+   */
+  function getPanelSelectors(profile) {
+    return [...profile.panel, ...ariaLabelSelectors('participant')];
+  }
+
+  /**
+   * Find a toolbar button by the Material icon name it shows (within root, if given)
+   */
+  function findButtonByIcon(iconNames, root = document) {
+    const icons = root.querySelectorAll('i, span[class*="icon" i], span[class*="symbol" i]');
+    for (const icon of icons) {
+      if (iconNames.includes(icon.textContent.trim())) {
+        const button = icon.closest('[role="button"], button');
+        if (button) {
+          return button;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the call-controls bar: the closest element holding both the microphone
+   * control and the leave-call button
+   */
+  function findCallControlsBar(profile) {
+    const microphone = querySelectorSafe(profile.meetingControls) || findButtonByIcon(MICROPHONE_ICONS);
+    const leaveButton = findButtonByIcon(LEAVE_CALL_ICONS);
+    if (!microphone || !leaveButton) {
+      return null;
+    }
+
+    let bar = microphone.parentElement;
+    while (bar && !bar.contains(leaveButton)) {
+      bar = bar.parentElement;
+    }
+    return bar;
+  }
+
+  /**
+   * Find the button that opens the participant panel
    */
-  function findParticipantPanelButton() {
-    // The participant button is a div[role="button"] labeled via aria-labelledby
-    // Find by checking the label text for "사용자" (Korean) or "People" (English)
-    const buttons = document.querySelectorAll('div[role="button"][aria-labelledby]');
+  function findParticipantPanelButton(profile = selectors) {
+    // Structural: the people icon in the call-controls bar (icons such as "group"
+    // also appear on other buttons, e.g. in the side panels)
+    const bar = findCallControlsBar(profile);
+    const panelButton = bar && findButtonByIcon(PEOPLE_ICONS, bar);
+    if (panelButton) {
+      return panelButton;
+    }
+
+    // Fallback: the button is a div[role="button"] labeled via aria-labelledby
+    // (or aria-label) with the translated "People" text
+    const labels = getUiLabels('people').map(label => label.toLowerCase());
+    const buttons = document.querySelectorAll('div[role="button"][aria-labelledby], [role="button"][aria-label], button[aria-label]');
     for (const btn of buttons) {
       const labelId = btn.getAttribute('aria-labelledby');
-      if (labelId) {
-        const labelEl = document.getElementById(labelId);
-        if (labelEl) {
-          const text = labelEl.textContent.trim();
-          if (text === '사용자' || text === 'People' || text === 'Participants') {
-            return btn;
-          }
-        }
+      const labelEl = labelId ? document.getElementById(labelId) : null;
+      const text = (labelEl ? labelEl.textContent : btn.getAttribute('aria-label') || '').trim().toLowerCase();
+      if (labels.includes(text)) {
+        return btn;
       }
     }
     return null;
   }
 
+  /**
+   * Auto-open participant panel once to initialize DOM elements, then close it
+   */
   function openParticipantPanelOnce() {
+    // Already open (e.g. before tracking started): clicking the button would close it
+    if (querySelectorSafe(getPanelSelectors(selectors))) {
+      console.log('[Attendance] Participant panel already open');
+      return;
+    }
+
     const panelBtn = findParticipantPanelButton();
 
     if (panelBtn) {
@@ -62,7 +160,7 @@
       let attempts = 0;
       const waitForDOM = setInterval(() => {
         attempts++;
-        const found = document.querySelector('div[role="listitem"][aria-label], .KV1GEc');
+        const found = querySelectorSafe(selectors.participant);
         console.log('[Attendance] Waiting for participant DOM... attempt', attempts, 'found:', !!found);
 
         if (found) {
@@ -94,29 +192,98 @@
     return match ? match[1] : null;
   }
 
+  /**
+   * Get the meeting title (e.g. the calendar event name), if any
+   * Read from the call UI first, then from the tab title: "Meet - <title>", or
+   * "Meet - <code>" when the meeting has no title (or Meet only shows the code there).
+   */
+  function getMeetingTitle() {
+    const titleElement = querySelectorSafe(selectors.meetingTitle);
+    const callTitle = titleElement &&
+      (titleElement.getAttribute('data-meeting-title') || titleElement.textContent).trim();
+    if (callTitle && callTitle !== currentMeetingId) {
+      return callTitle;
+    }
+
+    const match = document.title.match(/^Meet\s*[-–]\s*(.+)$/);
+    const tabTitle = match ? match[1].trim() : '';
+    return tabTitle && tabTitle !== currentMeetingId ? tabTitle : null;
+  }
+
+  /**
+   * Report the meeting title once it appears (it may render after joining)
+   */
+  function checkMeetingTitle() {
+    const title = getMeetingTitle();
+    if (!title || title === currentMeetingTitle) {
+      return;
+    }
+
+    currentMeetingTitle = title;
+    chrome.runtime.sendMessage({
+      type: 'MEETING_TITLE',
+      meetingId: currentMeetingId,
+      sessionId: currentSessionId,
+      title: title
+    }).catch(err => {
+      console.warn('[Attendance] Failed to send meeting title:', err);
+    });
+  }
+
+  /**
+   * Get the stable participant ID Meet exposes on a list item (if any)
+   */
+  function getParticipantId(element) {
+    const idElement = element.closest('[data-participant-id]') ||
+                      element.querySelector('[data-participant-id]');
+    if (!idElement) {
+      return null;
+    }
+    return idElement.getAttribute('data-participant-id') || null;
+  }
+
+  /**
+   * Find the first element matching any of the selectors (invalid selectors are skipped)
+   */
+  function querySelectorSafe(selectorList, root = document) {
+    for (const selector of selectorList) {
+      try {
+        const element = root.querySelector(selector);
+        if (element) {
+          return element;
+        }
+      } catch (e) {
+        console.warn('[Attendance] Selector failed:', selector, e);
+      }
+    }
+    return null;
+  }
+
   /**
    * Extract participant info from DOM element
    */
-  function extractParticipantInfo(element) {
+  function extractParticipantInfo(element, profile) {
     let name = null;
     let email = null;
+    let method = null;
 
     // Method 1: aria-label on listitem (most reliable for current Meet UI)
     // e.g., <div role="listitem" aria-label="kyno" ...>
     const ariaLabel = element.getAttribute('aria-label');
     if (ariaLabel && !ariaLabel.includes('spaces/') && !ariaLabel.includes('devices/')) {
       name = ariaLabel.trim();
+      method = 'aria-label';
     }
 
-    // Method 2: Look for .zWGUib inside the element (participant name span)
+    // Method 2: Look for a name element inside (e.g. the .zWGUib participant name span)
     if (!name) {
-      const nameElement = element.querySelector('.zWGUib') ||
-                          element.querySelector('[data-self-name]') ||
-                          element.querySelector('.XEazBc') ||
-                          element.querySelector('.ZjFb7c') ||
-                          element.querySelector('.cS7aqe');
-      if (nameElement) {
-        name = nameElement.textContent.trim();
+      for (const selector of profile.name) {
+        const nameElement = querySelectorSafe([selector], element);
+        if (nameElement) {
+          name = nameElement.textContent.trim();
+          method = `name ${selector}`;
+          break;
+        }
       }
     }
 
@@ -125,12 +292,12 @@
       const selfName = element.getAttribute('data-self-name');
       if (selfName) {
         name = selfName.trim();
+        method = 'data-self-name';
       }
     }
 
     // Try to extract email if visible (usually only for same organization)
-    const emailElement = element.querySelector('[data-email]') ||
-                         element.querySelector('.jxFHg');
+    const emailElement = querySelectorSafe(profile.email, element);
     if (emailElement) {
       email = emailElement.getAttribute('data-email') ||
               emailElement.textContent.trim();
@@ -150,49 +317,31 @@
       return null;
     }
 
-    return { name, email };
+    return { id: getParticipantId(element), name, email, method };
   }
 
   /**
-   * Scan for participants in the DOM
+   * Get the key a participant is stored under: the stable ID when Meet
+   * exposes one, the display name otherwise
    */
-  function scanParticipants() {
-    if (!isTracking) return;
+  function getParticipantKey(info) {
+    return info.id || info.name;
+  }
 
-    const currentTime = new Date().toISOString();
-    const foundParticipants = new Set();
+  /**
+   * Find participant info with every participant selector of a profile
+   */
+  function findParticipantInfos(profile) {
+    const foundInfos = [];
 
-    // Try each selector
-    for (const selector of PARTICIPANT_SELECTORS) {
+    for (const selector of profile.participant) {
       try {
         const elements = document.querySelectorAll(selector);
         elements.forEach(element => {
-          const info = extractParticipantInfo(element);
+          const info = extractParticipantInfo(element, profile);
           if (info && info.name) {
-            foundParticipants.add(info.name);
-
-            // New participant
-            if (!participants[info.name]) {
-              participants[info.name] = {
-                name: info.name,
-                email: info.email || null,
-                events: [{ time: currentTime, type: 'Join' }],
-                isPresent: true
-              };
-              console.log('[Attendance] Participant joined:', info.name);
-              notifyBackground('participantJoined', participants[info.name]);
-            }
-            // Update email if newly available
-            else if (info.email && !participants[info.name].email) {
-              participants[info.name].email = info.email;
-            }
-            // Rejoined after leaving
-            else if (!participants[info.name].isPresent) {
-              participants[info.name].events.push({ time: currentTime, type: 'Join' });
-              participants[info.name].isPresent = true;
-              console.log('[Attendance] Participant rejoined:', info.name);
-              notifyBackground('participantRejoined', participants[info.name]);
-            }
+            info.selector = selector;
+            foundInfos.push(info);
           }
         });
       } catch (e) {
@@ -200,13 +349,87 @@
       }
     }
 
+    return foundInfos;
+  }
+
+  /**
+   * Scan for participants in the DOM
+   */
+  function scanParticipants() {
+    if (!isTracking) return;
+
+    const currentTime = new Date().toISOString();
+    const foundInfos = findParticipantInfos(selectors);
+
+    recordDiagnostics(foundInfos);
+
+    // Elements with an ID win over name-only matches of the same person
+    // (e.g. a name span found by a class selector outside the list item)
+    const namesWithId = new Set(foundInfos.filter(info => info.id).map(info => info.name));
+    const foundParticipants = new Set();
+
+    for (const info of foundInfos) {
+      if (!info.id && namesWithId.has(info.name)) continue;
+
+      const key = getParticipantKey(info);
+      if (foundParticipants.has(key)) continue;
+      foundParticipants.add(key);
+
+      // A record tracked by name before its ID was visible (e.g. the self
+      // entry) is moved under the ID instead of creating a duplicate
+      const nameRecord = participants[info.name];
+      if (info.id && !participants[key] && nameRecord && !nameRecord.id) {
+        participants[key] = { ...nameRecord, id: info.id };
+        delete participants[info.name];
+      }
+
+      const participant = participants[key];
+
+      // New participant
+      if (!participant) {
+        participants[key] = {
+          id: info.id,
+          name: info.name,
+          names: [info.name],
+          email: info.email || null,
+          events: [{ time: currentTime, type: 'Join' }],
+          isPresent: true
+        };
+        console.log('[Attendance] Participant joined:', info.name);
+        notifyBackground('participantJoined', participants[key]);
+        continue;
+      }
+
+      // Display name changed during the meeting: keep the history
+      if (participant.name !== info.name) {
+        console.log('[Attendance] Participant renamed:', participant.name, '->', info.name);
+        participant.name = info.name;
+        if (!participant.names.includes(info.name)) {
+          participant.names.push(info.name);
+        }
+      }
+
+      // Update email if newly available
+      if (info.email && !participant.email) {
+        participant.email = info.email;
+      }
+
+      // Rejoined after leaving
+      if (!participant.isPresent) {
+        participant.events.push({ time: currentTime, type: 'Join' });
+        participant.isPresent = true;
+        console.log('[Attendance] Participant rejoined:', info.name);
+        notifyBackground('participantRejoined', participant);
+      }
+    }
+
     // Check for participants who left
-    for (const name in participants) {
-      if (!foundParticipants.has(name) && participants[name].isPresent) {
-        participants[name].events.push({ time: currentTime, type: 'Leave' });
-        participants[name].isPresent = false;
-        console.log('[Attendance] Participant left:', name);
-        notifyBackground('participantLeft', participants[name]);
+    for (const key in participants) {
+      if (!foundParticipants.has(key) && participants[key].isPresent) {
+        participants[key].events.push({ time: currentTime, type: 'Leave' });
+        participants[key].isPresent = false;
+        console.log('[Attendance] Participant left:', participants[key].name);
+        notifyBackground('participantLeft', participants[key]);
       }
     }
 
@@ -218,20 +441,17 @@
    * Detect the current user (self)
    */
   function detectSelf() {
-    const selfSelectors = [
-      '[data-self-name]',
-      '[data-is-self="true"]',
-      '.uGOf1d[data-self-name]'
-    ];
-
-    for (const selector of selfSelectors) {
-      const selfElement = document.querySelector(selector);
+    for (const selector of selectors.self) {
+      const selfElement = querySelectorSafe([selector]);
       if (selfElement) {
         const selfName = selfElement.getAttribute('data-self-name') ||
                          selfElement.textContent.trim();
-        if (selfName && !participants[selfName]) {
+        const alreadyTracked = Object.values(participants).some(p => p.name === selfName);
+        if (selfName && !alreadyTracked) {
           participants[selfName] = {
+            id: null,
             name: selfName,
+            names: [selfName],
             email: null,
             events: [{ time: new Date().toISOString(), type: 'Join' }],
             isPresent: true,
@@ -244,6 +464,132 @@
     }
   }
 
+  /**
+   * Create empty selector statistics for a tracking session
+   */
+  function createDiagnostics() {
+    const now = Date.now();
+    return {
+      startedAt: new Date(now).toISOString(),
+      scans: 0,
+      emptyScans: 0,
+      lastMatchAt: now,
+      lastReportAt: 0,
+      warning: false,
+      selectorHits: Object.fromEntries(selectors.participant.map(selector => [selector, 0])),
+      methodHits: {},
+      sources: {}
+    };
+  }
+
+  /**
+   * Count which selector and extraction method found each participant in a scan
+   */
+  function recordDiagnostics(foundInfos) {
+    if (!diagnostics) return;
+
+    const now = Date.now();
+    diagnostics.scans++;
+
+    if (foundInfos.length === 0) {
+      diagnostics.emptyScans++;
+    } else {
+      diagnostics.lastMatchAt = now;
+    }
+
+    for (const info of foundInfos) {
+      diagnostics.selectorHits[info.selector] = (diagnostics.selectorHits[info.selector] || 0) + 1;
+      diagnostics.methodHits[info.method] = (diagnostics.methodHits[info.method] || 0) + 1;
+
+      const source = `${info.selector} → ${info.method}`;
+      if (debugMode && diagnostics.sources[info.name] !== source) {
+        console.log('[Attendance] Detected', info.name, 'via', source);
+      }
+      diagnostics.sources[info.name] = source;
+    }
+
+    const warning = now - diagnostics.lastMatchAt > NO_MATCH_WARNING_MS;
+    const changed = warning !== diagnostics.warning;
+    diagnostics.warning = warning;
+    if (changed) {
+      console.warn('[Attendance] Participant detection', warning ? 'has found nobody for a while' : 'recovered');
+    }
+
+    if (changed || now - diagnostics.lastReportAt > DIAGNOSTICS_REPORT_MS) {
+      reportDiagnostics();
+    }
+  }
+
+  /**
+   * Get a serializable snapshot of the selector statistics
+   */
+  function getDiagnosticsSnapshot() {
+    if (!diagnostics) return null;
+
+    return {
+      startedAt: diagnostics.startedAt,
+      updatedAt: new Date().toISOString(),
+      uiLanguage: document.documentElement.lang || '',
+      scans: diagnostics.scans,
+      emptyScans: diagnostics.emptyScans,
+      lastMatchAt: new Date(diagnostics.lastMatchAt).toISOString(),
+      warning: diagnostics.warning,
+      panelButtonFound: !!findParticipantPanelButton(),
+      selectorHits: diagnostics.selectorHits,
+      methodHits: diagnostics.methodHits,
+      // Per-person sources are only kept in the report in debug mode
+      sources: debugMode ? diagnostics.sources : {}
+    };
+  }
+
+  /**
+   * Run a selector profile against the current page without changing tracking state
+   * Returns the match count of every selector and the participants it would detect.
+   */
+  function testSelectorProfile(profile) {
+    const fields = {};
+    for (const [field, selectorList] of Object.entries(profile)) {
+      const list = field === 'panel' ? getPanelSelectors(profile) : selectorList;
+      fields[field] = list.map(selector => {
+        try {
+          return { selector, count: document.querySelectorAll(selector).length };
+        } catch (e) {
+          return { selector, count: 0, error: e.message };
+        }
+      });
+    }
+
+    const detected = new Map();
+    for (const info of findParticipantInfos(profile)) {
+      if (!detected.has(info.name)) {
+        detected.set(info.name, { name: info.name, email: info.email, selector: info.selector, method: info.method });
+      }
+    }
+
+    return {
+      meetingId: getMeetingId(),
+      uiLanguage: document.documentElement.lang || '',
+      panelButtonFound: !!findParticipantPanelButton(profile),
+      fields,
+      participants: Array.from(detected.values())
+    };
+  }
+
+  /**
+   * Send the selector statistics to the background service worker
+   */
+  function reportDiagnostics() {
+    diagnostics.lastReportAt = Date.now();
+    chrome.runtime.sendMessage({
+      type: 'DETECTION_DIAGNOSTICS',
+      meetingId: currentMeetingId,
+      sessionId: currentSessionId,
+      diagnostics: getDiagnosticsSnapshot()
+    }).catch(err => {
+      console.warn('[Attendance] Failed to report diagnostics:', err);
+    });
+  }
+
   /**
    * Send message to background service worker
    */
@@ -252,6 +598,7 @@
       type: 'ATTENDANCE_UPDATE',
       action: action,
       meetingId: currentMeetingId,
+      sessionId: currentSessionId,
       data: data,
       participants: participants,
       timestamp: new Date().toISOString()
@@ -296,9 +643,53 @@
       return;
     }
 
+    // The selector profile is needed before the first scan
+    if (!selectors) {
+      chrome.runtime.sendMessage({ type: 'GET_SELECTOR_PROFILE' }).then(response => {
+        if (!response?.profile) {
+          throw new Error(response?.error || 'No selector profile');
+        }
+        selectors = response.profile;
+        startTracking();
+      }).catch(err => {
+        console.warn('[Attendance] Failed to load selector profile, retrying...', err);
+        setTimeout(startTracking, 2000);
+      });
+      return;
+    }
+
+    const startTime = new Date().toISOString();
+
     console.log('[Attendance] Starting tracking for meeting:', currentMeetingId);
     isTracking = true;
     participants = {};
+    currentSessionId = null;
+    currentMeetingTitle = getMeetingTitle();
+    diagnostics = createDiagnostics();
+
+    // Notify background that tracking started. Each start of a (possibly recurring)
+    // Meet code is its own session; the background assigns the session ID, and
+    // messages sent before it arrives are matched to the session by tab.
+    chrome.runtime.sendMessage({
+      type: 'MEETING_STARTED',
+      meetingId: currentMeetingId,
+      title: currentMeetingTitle,
+      startTime: startTime,
+      url: window.location.href
+    }).then(response => {
+      if (response?.sessionId && isTracking) {
+        currentSessionId = response.sessionId;
+        console.log('[Attendance] Tracking session:', currentSessionId);
+      }
+    }).catch(err => {
+      console.warn('[Attendance] Failed to notify meeting start:', err);
+    });
+
+    chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }).then(settings => {
+      debugMode = !!settings?.detectionDebug;
+    }).catch(() => {
+      // Keep debug mode off
+    });
 
     // Auto-open participant panel to initialize DOM, then close it
     openParticipantPanelOnce();
@@ -313,17 +704,10 @@
     if (pollingInterval) {
       clearInterval(pollingInterval);
     }
-    pollingInterval = setInterval(scanParticipants, 5000);
-
-    // Notify background that tracking started
-    chrome.runtime.sendMessage({
-      type: 'MEETING_STARTED',
-      meetingId: currentMeetingId,
-      startTime: new Date().toISOString(),
-      url: window.location.href
-    }).catch(err => {
-      console.warn('[Attendance] Failed to notify meeting start:', err);
-    });
+    pollingInterval = setInterval(() => {
+      scanParticipants();
+      checkMeetingTitle();
+    }, 5000);
   }
 
   /**
@@ -356,14 +740,22 @@
     chrome.runtime.sendMessage({
       type: 'MEETING_ENDED',
       meetingId: currentMeetingId,
+      sessionId: currentSessionId,
       endTime: endTime,
       participants: participants
     }).catch(err => {
       console.warn('[Attendance] Failed to notify meeting end:', err);
     });
 
+    if (diagnostics) {
+      reportDiagnostics();
+    }
+
     currentMeetingId = null;
+    currentSessionId = null;
+    currentMeetingTitle = null;
     participants = {};
+    diagnostics = null;
   }
 
   /**
@@ -375,14 +767,17 @@
         sendResponse({
           isTracking: isTracking,
           meetingId: currentMeetingId,
+          sessionId: currentSessionId,
           participants: participants,
-          participantCount: Object.keys(participants).length
+          participantCount: Object.keys(participants).length,
+          detectionWarning: !!diagnostics?.warning
         });
         return true;
 
       case 'GET_PARTICIPANTS':
         sendResponse({
           meetingId: currentMeetingId,
+          sessionId: currentSessionId,
           participants: participants
         });
         return true;
@@ -392,6 +787,21 @@
         sendResponse({ success: true, participants: participants });
         return true;
 
+      case 'GET_DIAGNOSTICS':
+        sendResponse(getDiagnosticsSnapshot());
+        return true;
+
+      case 'TEST_SELECTORS':
+        sendResponse(testSelectorProfile(message.profile));
+        return true;
+
+      case 'SELECTOR_PROFILE_UPDATED':
+        selectors = message.profile;
+        console.log('[Attendance] Selector profile updated');
+        scanParticipants();
+        sendResponse({ success: true });
+        return true;
+
       case 'STOP_TRACKING':
         stopTracking();
         sendResponse({ success: true });
@@ -412,7 +822,7 @@
     }
 
     // Method 2: Check for explicit "call ended" attribute
-    if (document.querySelector('[data-call-ended="true"]')) {
+    if (querySelectorSafe(selectors.callEnded)) {
       console.log('[Attendance] Meeting end detected: call-ended flag');
       stopTracking();
       return true;
@@ -420,8 +830,7 @@
 
     // Method 3: Check for "Return to home screen" button (appears after leaving)
     // This button only appears when YOU left, not when others leave
-    const returnHomeButton = document.querySelector('[data-mdc-dialog-action="returnToHomePage"]') ||
-                             document.querySelector('button[jsname="EszDse"]');
+    const returnHomeButton = querySelectorSafe(selectors.returnHome);
     if (returnHomeButton) {
       console.log('[Attendance] Meeting end detected: return to home button');
       stopTracking();
@@ -429,9 +838,10 @@
     }
 
     // Method 4: Check if video/audio controls are gone (meeting UI disappeared)
-    const meetingControls = document.querySelector('[data-is-muted]') ||
-                            document.querySelector('[aria-label*="microphone"]') ||
-                            document.querySelector('[aria-label*="마이크"]');
+    // Structural checks first; translated microphone labels only as a fallback
+    const meetingControls = querySelectorSafe(selectors.meetingControls) ||
+                            findButtonByIcon(CALL_CONTROL_ICONS) ||
+                            document.querySelector(ariaLabelSelectors('microphone').join(', '));
     const hasMeetingId = getMeetingId();
 
     if (hasMeetingId && !meetingControls && isTracking) {
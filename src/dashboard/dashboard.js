@@ -0,0 +1,159 @@
+/**
+ * Google Meet Attendance Tracker - Analytics Dashboard
+ */
+
+import { computeAnalytics } from '../lib/analytics.js';
+import { renderBarChart, renderLineChart } from '../lib/charts.js';
+import { escapeHtml } from '../lib/html.js';
+
+// Number of people in the most/least consistent lists
+const CONSISTENCY_LIST_SIZE = 5;
+
+const elements = {
+  meetingFilter: document.getElementById('meetingFilter'),
+  fromFilter: document.getElementById('fromFilter'),
+  toFilter: document.getElementById('toFilter'),
+  resetFiltersBtn: document.getElementById('resetFiltersBtn'),
+  emptyMessage: document.getElementById('emptyMessage'),
+  dashboardContent: document.getElementById('dashboardContent'),
+  statMeetings: document.getElementById('statMeetings'),
+  statPeople: document.getElementById('statPeople'),
+  statAvgAttendance: document.getElementById('statAvgAttendance'),
+  statPeakAttendance: document.getElementById('statPeakAttendance'),
+  statAvgMinutes: document.getElementById('statAvgMinutes'),
+  meetingsPerWeekChart: document.getElementById('meetingsPerWeekChart'),
+  attendanceChart: document.getElementById('attendanceChart'),
+  lateChart: document.getElementById('lateChart'),
+  joinDelayChart: document.getElementById('joinDelayChart'),
+  mostConsistent: document.getElementById('mostConsistent'),
+  leastConsistent: document.getElementById('leastConsistent'),
+  peopleTable: document.getElementById('peopleTable')
+};
+
+/**
+ * Initialize dashboard
+ */
+async function init() {
+  await loadMeetingCodes();
+
+  const params = new URLSearchParams(location.search);
+  elements.meetingFilter.value = params.get('meeting') || '';
+
+  elements.meetingFilter.addEventListener('change', loadDashboard);
+  elements.fromFilter.addEventListener('change', loadDashboard);
+  elements.toFilter.addEventListener('change', loadDashboard);
+  elements.resetFiltersBtn.addEventListener('click', handleResetFilters);
+
+  await loadDashboard();
+}
+
+/**
+ * Fill the meeting code filter from stored meetings
+ */
+async function loadMeetingCodes() {
+  const meetings = await chrome.runtime.sendMessage({ type: 'FIND_MEETINGS', filter: {} });
+
+  const counts = new Map();
+  for (const meeting of meetings) {
+    counts.set(meeting.meetingId, (counts.get(meeting.meetingId) || 0) + 1);
+  }
+
+  for (const [meetingId, count] of [...counts].sort(([a], [b]) => a.localeCompare(b))) {
+    const option = document.createElement('option');
+    option.value = meetingId;
+    option.textContent = `${meetingId} (${count})`;
+    elements.meetingFilter.appendChild(option);
+  }
+}
+
+/**
+ * Load meetings matching the filters and render all figures
+ */
+async function loadDashboard() {
+  try {
+    const meetings = await chrome.runtime.sendMessage({
+      type: 'GET_MEETING_REPORTS',
+      filter: {
+        meetingId: elements.meetingFilter.value,
+        from: elements.fromFilter.value,
+        to: elements.toFilter.value
+      }
+    });
+
+    const isEmpty = meetings.length === 0;
+    elements.emptyMessage.classList.toggle('hidden', !isEmpty);
+    elements.dashboardContent.classList.toggle('hidden', isEmpty);
+    if (isEmpty) return;
+
+    renderDashboard(computeAnalytics(meetings));
+  } catch (error) {
+    console.error('Failed to load dashboard:', error);
+  }
+}
+
+/**
+ * Reset all filters
+ */
+async function handleResetFilters() {
+  elements.meetingFilter.value = '';
+  elements.fromFilter.value = '';
+  elements.toFilter.value = '';
+  await loadDashboard();
+}
+
+/**
+ * Render stats, charts and tables
+ */
+function renderDashboard(analytics) {
+  const { totals, weekly, perSession, people } = analytics;
+
+  elements.statMeetings.textContent = totals.meetings;
+  elements.statPeople.textContent = totals.people;
+  elements.statAvgAttendance.textContent = totals.avgAttendance;
+  elements.statPeakAttendance.textContent = totals.peakAttendance;
+  elements.statAvgMinutes.textContent = totals.avgMinutesPerPerson;
+
+  const weekLabel = week => week.slice(5);
+  renderBarChart(elements.meetingsPerWeekChart, weekly.map(w => ({ label: weekLabel(w.week), value: w.meetings })));
+  renderBarChart(elements.attendanceChart, perSession.map(s => ({
+    label: new Date(s.startTime).toLocaleDateString([], { month: '2-digit', day: '2-digit' }),
+    value: s.attendees
+  })));
+  renderLineChart(elements.lateChart, weekly.map(w => ({ label: weekLabel(w.week), value: w.latePercent })), 100);
+  renderLineChart(elements.joinDelayChart, weekly.map(w => ({ label: weekLabel(w.week), value: w.avgJoinDelay })));
+
+  const most = people.slice(0, CONSISTENCY_LIST_SIZE);
+  const least = people.slice(CONSISTENCY_LIST_SIZE).slice(-CONSISTENCY_LIST_SIZE).reverse();
+  elements.mostConsistent.innerHTML = most.map(renderConsistencyRow).join('');
+  elements.leastConsistent.innerHTML = least.map(renderConsistencyRow).join('');
+
+  elements.peopleTable.innerHTML = [...people]
+    .sort((a, b) => b.avgMinutes - a.avgMinutes)
+    .map(p => `
+      <tr>
+        <td>${escapeHtml(p.name)}</td>
+        <td>${escapeHtml(p.email)}</td>
+        <td class="num">${p.attended} / ${p.eligible}</td>
+        <td class="num">${p.avgMinutes}</td>
+        <td class="num">${p.late}</td>
+        <td class="num">${p.rate}%</td>
+      </tr>
+    `).join('');
+}
+
+/**
+ * Render a row of the most/least consistent lists
+ */
+function renderConsistencyRow(person) {
+  return `
+    <tr>
+      <td>${escapeHtml(person.name)}</td>
+      <td class="num">${person.attended} / ${person.eligible}</td>
+      <td class="num">${person.rate}%</td>
+      <td class="num">${person.avgMinutes}</td>
+    </tr>
+  `;
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,349 @@
+/**
+ * Google Meet Attendance Tracker - Meeting History
+ * Paginated browsing of all stored meetings with search, filters and bulk actions
+ */
+
+import { fromBase64, XLSX_MIME_TYPE } from '../lib/xlsx.js';
+import { downloadBlob, escapeHtml } from '../lib/html.js';
+
+// Delay before a search is run while typing (ms)
+const SEARCH_DEBOUNCE_MS = 300;
+
+const elements = {
+  searchInput: document.getElementById('searchInput'),
+  fromFilter: document.getElementById('fromFilter'),
+  toFilter: document.getElementById('toFilter'),
+  minParticipants: document.getElementById('minParticipants'),
+  maxParticipants: document.getElementById('maxParticipants'),
+  resetFiltersBtn: document.getElementById('resetFiltersBtn'),
+  selectionInfo: document.getElementById('selectionInfo'),
+  selectAllMatchingBtn: document.getElementById('selectAllMatchingBtn'),
+  clearSelectionBtn: document.getElementById('clearSelectionBtn'),
+  bulkCsvBtn: document.getElementById('bulkCsvBtn'),
+  bulkXlsxBtn: document.getElementById('bulkXlsxBtn'),
+  bulkSyncBtn: document.getElementById('bulkSyncBtn'),
+  bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+  statusMessage: document.getElementById('statusMessage'),
+  selectPageCheckbox: document.getElementById('selectPageCheckbox'),
+  historyRows: document.getElementById('historyRows'),
+  emptyMessage: document.getElementById('emptyMessage'),
+  prevPageBtn: document.getElementById('prevPageBtn'),
+  nextPageBtn: document.getElementById('nextPageBtn'),
+  pageInfo: document.getElementById('pageInfo'),
+  pageSizeSelect: document.getElementById('pageSizeSelect')
+};
+
+let currentPage = 1;
+let currentResult = null;
+let searchTimer = null;
+const selected = new Set();
+
+/**
+ * Initialize history page
+ */
+async function init() {
+  elements.searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadPage(1), SEARCH_DEBOUNCE_MS);
+  });
+  for (const input of [elements.fromFilter, elements.toFilter, elements.minParticipants, elements.maxParticipants]) {
+    input.addEventListener('change', () => loadPage(1));
+  }
+  elements.resetFiltersBtn.addEventListener('click', handleResetFilters);
+
+  elements.prevPageBtn.addEventListener('click', () => loadPage(currentPage - 1));
+  elements.nextPageBtn.addEventListener('click', () => loadPage(currentPage + 1));
+  elements.pageSizeSelect.addEventListener('change', () => loadPage(1));
+
+  elements.selectPageCheckbox.addEventListener('change', handleSelectPage);
+  elements.selectAllMatchingBtn.addEventListener('click', handleSelectAllMatching);
+  elements.clearSelectionBtn.addEventListener('click', () => {
+    selected.clear();
+    renderRows();
+  });
+
+  elements.bulkCsvBtn.addEventListener('click', () => handleBulkExport('csv', elements.bulkCsvBtn));
+  elements.bulkXlsxBtn.addEventListener('click', () => handleBulkExport('xlsx', elements.bulkXlsxBtn));
+  elements.bulkSyncBtn.addEventListener('click', handleBulkSync);
+  elements.bulkDeleteBtn.addEventListener('click', handleBulkDelete);
+
+  chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+
+  await loadPage(1);
+}
+
+/**
+ * Read the filter inputs
+ */
+function readFilter() {
+  const count = input => input.value === '' ? undefined : parseInt(input.value, 10);
+  return {
+    text: elements.searchInput.value,
+    from: elements.fromFilter.value,
+    to: elements.toFilter.value,
+    minParticipants: count(elements.minParticipants),
+    maxParticipants: count(elements.maxParticipants)
+  };
+}
+
+/**
+ * Load a page of meetings matching the filters
+ */
+async function loadPage(page) {
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'GET_MEETING_PAGE',
+      filter: readFilter(),
+      page,
+      pageSize: parseInt(elements.pageSizeSelect.value, 10)
+    });
+
+    if (result.error) {
+      showStatus(result.error, true);
+      return;
+    }
+
+    currentResult = result;
+    currentPage = result.page;
+
+    // Only meetings that still match the filters stay selected
+    const matching = new Set(result.sessionIds);
+    for (const sessionId of selected) {
+      if (!matching.has(sessionId)) {
+        selected.delete(sessionId);
+      }
+    }
+
+    renderRows();
+  } catch (error) {
+    console.error('Failed to load meetings:', error);
+    showStatus('Failed to load meetings', true);
+  }
+}
+
+/**
+ * Render the current page, pagination and selection state
+ */
+function renderRows() {
+  const { items, total, page, pageCount } = currentResult;
+
+  elements.historyRows.innerHTML = items.map(meeting => {
+    const start = meeting.startTime ? new Date(meeting.startTime).toLocaleString() : '-';
+    const duration = meeting.endTime
+      ? `${Math.round((new Date(meeting.endTime) - new Date(meeting.startTime)) / 60000)} min`
+      : 'Ongoing';
+    const synced = meeting.syncedAt ? new Date(meeting.syncedAt).toLocaleDateString() : '-';
+    const reportUrl = `../report/report.html?session=${encodeURIComponent(meeting.sessionId)}`;
+
+    return `
+      <tr>
+        <td class="check">
+          <input type="checkbox" class="row-checkbox" data-session-id="${escapeHtml(meeting.sessionId)}"
+            ${selected.has(meeting.sessionId) ? 'checked' : ''}>
+        </td>
+        <td>
+          <a class="meeting-link" href="${reportUrl}" target="_blank">${escapeHtml(meeting.meetingId)}</a>
+          ${meeting.title ? `<div class="meeting-title">${escapeHtml(meeting.title)}</div>` : ''}
+          ${meeting.tags.length ? `<div class="meeting-title">${meeting.tags.map(escapeHtml).join(', ')}</div>` : ''}
+        </td>
+        <td>${start}</td>
+        <td>${duration}</td>
+        <td class="num">${meeting.participantCount}</td>
+        <td>${synced}</td>
+      </tr>
+    `;
+  }).join('');
+
+  elements.historyRows.querySelectorAll('.row-checkbox').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selected.add(checkbox.dataset.sessionId);
+      } else {
+        selected.delete(checkbox.dataset.sessionId);
+      }
+      renderSelection();
+    });
+  });
+
+  elements.emptyMessage.classList.toggle('hidden', total > 0);
+  elements.pageInfo.textContent = `Page ${page} of ${pageCount} · ${total} meetings`;
+  elements.prevPageBtn.disabled = page <= 1;
+  elements.nextPageBtn.disabled = page >= pageCount;
+
+  renderSelection();
+}
+
+/**
+ * Update the selection summary, page checkbox and bulk action buttons
+ */
+function renderSelection() {
+  const { items, total } = currentResult;
+  const pageSelected = items.filter(meeting => selected.has(meeting.sessionId)).length;
+
+  elements.selectPageCheckbox.checked = items.length > 0 && pageSelected === items.length;
+  elements.selectPageCheckbox.indeterminate = pageSelected > 0 && pageSelected < items.length;
+
+  elements.selectionInfo.textContent = selected.size > 0
+    ? `${selected.size} selected`
+    : 'No meetings selected';
+  elements.selectAllMatchingBtn.textContent = `Select all ${total} matching`;
+  elements.selectAllMatchingBtn.classList.toggle('hidden', selected.size === 0 || selected.size === total);
+  elements.clearSelectionBtn.classList.toggle('hidden', selected.size === 0);
+
+  for (const button of [elements.bulkCsvBtn, elements.bulkXlsxBtn, elements.bulkSyncBtn, elements.bulkDeleteBtn]) {
+    button.disabled = selected.size === 0;
+  }
+}
+
+/**
+ * Select or unselect every meeting on the current page
+ */
+function handleSelectPage() {
+  for (const meeting of currentResult.items) {
+    if (elements.selectPageCheckbox.checked) {
+      selected.add(meeting.sessionId);
+    } else {
+      selected.delete(meeting.sessionId);
+    }
+  }
+  renderRows();
+}
+
+/**
+ * Select every meeting matching the filters, across pages
+ */
+function handleSelectAllMatching() {
+  for (const sessionId of currentResult.sessionIds) {
+    selected.add(sessionId);
+  }
+  renderRows();
+}
+
+/**
+ * Clear all filters
+ */
+async function handleResetFilters() {
+  elements.searchInput.value = '';
+  elements.fromFilter.value = '';
+  elements.toFilter.value = '';
+  elements.minParticipants.value = '';
+  elements.maxParticipants.value = '';
+  await loadPage(1);
+}
+
+/**
+ * Export the selected meetings as one CSV or Excel file
+ */
+async function handleBulkExport(format, button) {
+  button.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: format === 'xlsx' ? 'EXPORT_MEETINGS_XLSX' : 'EXPORT_MEETINGS_CSV',
+      sessionIds: Array.from(selected)
+    });
+
+    if (response.error) {
+      showStatus('Failed to export: ' + response.error, true);
+      return;
+    }
+
+    const blob = format === 'xlsx'
+      ? new Blob([fromBase64(response.data)], { type: XLSX_MIME_TYPE })
+      : new Blob([response.csv], { type: 'text/csv;charset=utf-8;' });
+    downloadBlob(blob, response.filename);
+    showStatus(`Exported ${response.count} meetings`);
+  } catch (error) {
+    console.error('Failed to export meetings:', error);
+    showStatus('Failed to export meetings', true);
+  } finally {
+    button.disabled = selected.size === 0;
+  }
+}
+
+/**
+ * Sync the selected meetings to Google Sheets
+ */
+async function handleBulkSync() {
+  const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  if (!settings.spreadsheetId) {
+    showStatus('Please configure Google Sheets in settings first.', true);
+    return;
+  }
+
+  elements.bulkSyncBtn.disabled = true;
+  showStatus(`Syncing 0 of ${selected.size}...`);
+
+  try {
+    const results = await chrome.runtime.sendMessage({
+      type: 'SYNC_MEETINGS',
+      sessionIds: Array.from(selected)
+    });
+
+    if (results.error) {
+      showStatus('Failed to sync: ' + results.error, true);
+      return;
+    }
+
+    const failed = results.filter(r => !r.success).length;
+    showStatus(
+      failed ? `${failed} of ${results.length} meetings failed to sync` : `Synced ${results.length} meetings`,
+      failed > 0
+    );
+    await loadPage(currentPage);
+  } catch (error) {
+    console.error('Failed to sync meetings:', error);
+    showStatus('Failed to sync meetings', true);
+  } finally {
+    elements.bulkSyncBtn.disabled = selected.size === 0;
+  }
+}
+
+/**
+ * Delete the selected meetings
+ */
+async function handleBulkDelete() {
+  if (!confirm(`Delete ${selected.size} meetings? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    const deleted = await chrome.runtime.sendMessage({
+      type: 'DELETE_MEETINGS',
+      sessionIds: Array.from(selected)
+    });
+
+    if (deleted.error) {
+      showStatus('Failed to delete: ' + deleted.error, true);
+      return;
+    }
+
+    selected.clear();
+    showStatus(`Deleted ${deleted} meetings`);
+    await loadPage(currentPage);
+  } catch (error) {
+    console.error('Failed to delete meetings:', error);
+    showStatus('Failed to delete meetings', true);
+  }
+}
+
+/**
+ * Handle messages broadcast by the background service worker
+ */
+function handleRuntimeMessage(message) {
+  if (message.type === 'SYNC_PROGRESS') {
+    showStatus(`Syncing ${message.done} of ${message.total}...`);
+  }
+}
+
+/**
+ * Show a status message above the table
+ */
+function showStatus(message, isError = false) {
+  elements.statusMessage.textContent = message;
+  elements.statusMessage.classList.toggle('error', isError);
+  elements.statusMessage.classList.remove('hidden');
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', init);
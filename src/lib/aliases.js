@@ -0,0 +1,164 @@
+/**
+ * Participant Aliases
+ * Maps display name variants ("Kyno (Presenting)", "Kyno's iPhone") to one canonical person
+ */
+
+/**
+ * Check whether an alias pattern is valid
+ */
+export function validateAlias(alias) {
+  if (!alias.pattern || !alias.canonical) {
+    return 'Pattern and canonical name are required';
+  }
+
+  if (alias.isRegex) {
+    try {
+      new RegExp(alias.pattern, 'i');
+    } catch (e) {
+      return `Invalid regular expression: ${e.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a display name matches an alias (exact matches ignore case)
+ */
+function matchesAlias(name, alias) {
+  if (alias.isRegex) {
+    try {
+      return new RegExp(alias.pattern, 'i').test(name);
+    } catch {
+      return false;
+    }
+  }
+  return name.trim().toLowerCase() === alias.pattern.trim().toLowerCase();
+}
+
+/**
+ * Find the first alias matching a display name
+ */
+export function resolveAlias(name, aliases) {
+  if (!name) {
+    return null;
+  }
+  return (aliases || []).find(alias => matchesAlias(name, alias)) || null;
+}
+
+/**
+ * Merge two participant records into one (events combined in time order)
+ */
+export function mergeParticipantRecords(target, source) {
+  const names = [...(target.names || [target.name])];
+  for (const name of source.names || [source.name]) {
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+
+  const events = [...(target.events || []), ...(source.events || [])]
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+  return {
+    ...target,
+    names,
+    keys: [...(target.keys || []), ...(source.keys || [])],
+    email: target.email || source.email || null,
+    events,
+    isPresent: !!(target.isPresent || source.isPresent)
+  };
+}
+
+/**
+ * Rename a participant record, keeping the new name among its names
+ */
+function renameParticipant(participant, name) {
+  const names = participant.names || [participant.name];
+  return {
+    ...participant,
+    name,
+    names: names.includes(name) ? names : [...names, name]
+  };
+}
+
+/**
+ * Apply aliases to a participants map
+ * Participants matching an alias are renamed to the canonical person and
+ * stored under the canonical name, merging with any other variants.
+ */
+export function applyAliases(participants, aliases) {
+  if (!aliases || aliases.length === 0) {
+    return participants || {};
+  }
+
+  const result = {};
+
+  for (const [key, p] of Object.entries(participants || {})) {
+    const alias = resolveAlias(p.name, aliases);
+    if (!alias) {
+      result[key] = result[key] ? mergeParticipantRecords(result[key], p) : p;
+      continue;
+    }
+
+    const renamed = {
+      ...renameParticipant(p, alias.canonical),
+      email: alias.email || p.email || null
+    };
+
+    const canonicalKey = alias.canonical;
+    result[canonicalKey] = result[canonicalKey]
+      ? mergeParticipantRecords(result[canonicalKey], renamed)
+      : renamed;
+  }
+
+  return result;
+}
+
+/**
+ * Apply the merges recorded on a meeting to its participants map
+ * Each merge { keys, name } folds the participants stored under keys into the
+ * first one; keys of participants merged earlier are followed to their target.
+ */
+export function applyMerges(participants, merges) {
+  const result = { ...participants };
+  const mergedInto = new Map();
+  const findTarget = key => {
+    while (mergedInto.has(key)) {
+      key = mergedInto.get(key);
+    }
+    return key;
+  };
+
+  for (const merge of merges || []) {
+    const keys = [...new Set(merge.keys.map(findTarget))].filter(key => result[key]);
+    if (keys.length === 0) {
+      continue;
+    }
+
+    const [target, ...others] = keys;
+    let merged = result[target];
+    for (const key of others) {
+      merged = mergeParticipantRecords(merged, result[key]);
+      delete result[key];
+      mergedInto.set(key, target);
+    }
+    result[target] = merge.name ? renameParticipant(merged, merge.name) : merged;
+  }
+
+  return result;
+}
+
+/**
+ * Resolve the participants of a stored meeting as reports show them
+ * Stored participants keep the names detected in the call; merges and aliases are
+ * applied on every read, so removing an alias restores the original records.
+ * Each resolved record lists the stored participant keys it was built from in keys.
+ */
+export function resolveParticipants(participants, merges, aliases) {
+  const withKeys = {};
+  for (const [key, p] of Object.entries(participants || {})) {
+    withKeys[key] = { ...p, keys: [key] };
+  }
+  return applyAliases(applyMerges(withKeys, merges), aliases);
+}
@@ -0,0 +1,138 @@
+/**
+ * Attendance Analytics
+ * Aggregates meeting reports into the figures shown on the dashboard
+ */
+
+import { ATTENDANCE_STATUS } from './attendance-rules.js';
+import { getHeadcountTimeline, getPersonKey, summarizeParticipant } from './attendance-summary.js';
+
+/**
+ * Get the Monday starting the week of a date, as YYYY-MM-DD (local time)
+ */
+export function getWeekStart(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * List every week from the first to the last week start (inclusive)
+ */
+function listWeeks(first, last) {
+  const weeks = [];
+  const date = new Date(`${first}T00:00:00`);
+  while (getWeekStart(date) <= last) {
+    weeks.push(getWeekStart(date));
+    date.setDate(date.getDate() + 7);
+  }
+  return weeks;
+}
+
+const average = values => values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : 0;
+
+/**
+ * Compute dashboard analytics from meeting reports (as returned by getMeetingReport)
+ * A person's consistency is the share of sessions they attended among the
+ * sessions of the meeting codes they have attended at least once.
+ */
+export function computeAnalytics(meetings) {
+  const sessions = [...meetings].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  const sessionsPerCode = new Map();
+  const weeks = new Map();
+  const people = new Map();
+  const perSession = [];
+
+  for (const meeting of sessions) {
+    sessionsPerCode.set(meeting.meetingId, (sessionsPerCode.get(meeting.meetingId) || 0) + 1);
+
+    const meetingStart = new Date(meeting.startTime).getTime();
+    const attendees = [];
+
+    for (const p of Object.values(meeting.participants || {})) {
+      const summary = p.summary || summarizeParticipant(p, meeting);
+      if (p.status === ATTENDANCE_STATUS.ABSENT || !summary.firstJoin) {
+        continue;
+      }
+
+      const joinDelay = Math.max(0, (new Date(summary.firstJoin).getTime() - meetingStart) / 60000);
+      const isLate = p.status === ATTENDANCE_STATUS.LATE;
+      attendees.push({ joinDelay, isLate });
+
+      const key = getPersonKey(p.name, p.email);
+      if (!people.has(key)) {
+        people.set(key, { name: p.name, email: p.email || '', codes: new Set(), sessions: new Set(), minutes: [], late: 0 });
+      }
+      const person = people.get(key);
+      person.codes.add(meeting.meetingId);
+      person.sessions.add(meeting.sessionId);
+      person.minutes.push(summary.totalMinutes);
+      if (isLate) person.late++;
+    }
+
+    const peak = Math.max(0, ...getHeadcountTimeline(meeting).map(step => step.count));
+    perSession.push({
+      sessionId: meeting.sessionId,
+      meetingId: meeting.meetingId,
+      startTime: meeting.startTime,
+      attendees: attendees.length,
+      peak
+    });
+
+    const week = getWeekStart(meeting.startTime);
+    if (!weeks.has(week)) {
+      weeks.set(week, { meetings: 0, attendees: 0, late: 0, joinDelays: [] });
+    }
+    const weekStats = weeks.get(week);
+    weekStats.meetings++;
+    weekStats.attendees += attendees.length;
+    weekStats.late += attendees.filter(a => a.isLate).length;
+    weekStats.joinDelays.push(...attendees.map(a => a.joinDelay));
+  }
+
+  // Weeks without meetings are kept so the trend shows gaps
+  const weekKeys = perSession.length > 0
+    ? listWeeks(getWeekStart(perSession[0].startTime), getWeekStart(perSession[perSession.length - 1].startTime))
+    : [];
+
+  const weekly = weekKeys.map(week => {
+    const stats = weeks.get(week) || { meetings: 0, attendees: 0, late: 0, joinDelays: [] };
+    return {
+      week,
+      meetings: stats.meetings,
+      latePercent: stats.attendees > 0 ? Math.round((stats.late / stats.attendees) * 100) : null,
+      avgJoinDelay: stats.joinDelays.length > 0 ? Math.round(average(stats.joinDelays) * 10) / 10 : null
+    };
+  });
+
+  const personStats = Array.from(people.values()).map(person => {
+    const eligible = Array.from(person.codes).reduce((sum, code) => sum + sessionsPerCode.get(code), 0);
+    return {
+      name: person.name,
+      email: person.email,
+      attended: person.sessions.size,
+      eligible,
+      rate: Math.round((person.sessions.size / eligible) * 100),
+      avgMinutes: Math.round(average(person.minutes)),
+      late: person.late
+    };
+  }).sort((a, b) => b.rate - a.rate || b.attended - a.attended || a.name.localeCompare(b.name));
+
+  const attendeeCounts = perSession.map(s => s.attendees);
+
+  return {
+    totals: {
+      meetings: sessions.length,
+      people: personStats.length,
+      avgAttendance: Math.round(average(attendeeCounts) * 10) / 10,
+      peakAttendance: Math.max(0, ...perSession.map(s => s.peak)),
+      avgMinutesPerPerson: Math.round(average(personStats.map(p => p.avgMinutes)))
+    },
+    weekly,
+    perSession,
+    people: personStats
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Attendance Matrix
+ * One grid for a course or series: a row per person, a column per session
+ */
+
+import { ATTENDANCE_STATUS } from './attendance-rules.js';
+import { getPersonKey, summarizeParticipant } from './attendance-summary.js';
+import { toCSV } from './csv.js';
+
+export const MATRIX_MODES = {
+  STATUS: 'status',
+  MINUTES: 'minutes'
+};
+
+/**
+ * Label a session column by its start time (and Meet code when the series mixes codes)
+ */
+function sessionLabel(meeting, withCode) {
+  const start = new Date(meeting.startTime);
+  const pad = n => String(n).padStart(2, '0');
+  const label = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())} ` +
+    `${pad(start.getHours())}:${pad(start.getMinutes())}`;
+  return withCode ? `${meeting.meetingId} ${label}` : label;
+}
+
+/**
+ * Build the attendance matrix of meeting reports (as returned by getMeetingReport)
+ * Cells hold the attendance status, or minutes attended in MINUTES mode. People
+ * missing from a session (including absent roster members) count as Absent / 0.
+ * Returns { headers, rows }.
+ */
+export function buildAttendanceMatrix(meetings, mode = MATRIX_MODES.STATUS) {
+  const sessions = [...meetings].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  const withCode = new Set(sessions.map(m => m.meetingId)).size > 1;
+  const people = new Map();
+
+  const getPerson = (name, email) => {
+    const key = getPersonKey(name, email);
+    if (!people.has(key)) {
+      people.set(key, { name, email: email || '', cells: new Map() });
+    }
+    return people.get(key);
+  };
+
+  sessions.forEach((meeting, index) => {
+    for (const p of Object.values(meeting.participants || {})) {
+      const summary = p.summary || summarizeParticipant(p, meeting);
+      const person = getPerson(p.name, p.email);
+      const previous = person.cells.get(index);
+
+      // The same person twice in one session (e.g. two devices without an alias): keep the better record
+      if (!previous || summary.totalMinutes > previous.minutes) {
+        person.cells.set(index, { status: p.status || ATTENDANCE_STATUS.PRESENT, minutes: summary.totalMinutes });
+      }
+    }
+
+    for (const entry of meeting.rosterReport?.absent || []) {
+      getPerson(entry.name, entry.email);
+    }
+  });
+
+  const headers = [
+    'Name', 'Email',
+    ...sessions.map(meeting => sessionLabel(meeting, withCode)),
+    'Sessions Attended', 'Attendance %'
+  ];
+
+  const rows = Array.from(people.values())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(person => {
+      let attended = 0;
+      const cells = sessions.map((_, index) => {
+        const cell = person.cells.get(index);
+        if (cell && cell.status !== ATTENDANCE_STATUS.ABSENT) {
+          attended++;
+        }
+        if (mode === MATRIX_MODES.MINUTES) {
+          return cell ? cell.minutes : 0;
+        }
+        return cell ? cell.status : ATTENDANCE_STATUS.ABSENT;
+      });
+
+      const rate = sessions.length > 0 ? Math.round((attended / sessions.length) * 100) : 0;
+      return [person.name, person.email, ...cells, attended, rate];
+    });
+
+  return { headers, rows };
+}
+
+/**
+ * Convert an attendance matrix to CSV
+ */
+export function matrixToCSV(matrix) {
+  return toCSV([matrix.headers, ...matrix.rows]);
+}
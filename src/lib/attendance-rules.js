@@ -0,0 +1,123 @@
+/**
+ * Attendance Rules Engine
+ * Classifies participants as Present, Late, Left Early or Absent from their join/leave events
+ */
+
+export const ATTENDANCE_STATUS = {
+  PRESENT: 'Present',
+  LATE: 'Late',
+  LEFT_EARLY: 'Left Early',
+  ABSENT: 'Absent'
+};
+
+export const DEFAULT_RULES = {
+  lateAfterMinutes: 10,       // joined more than N minutes after start
+  leftEarlyMinutes: 10,       // left more than M minutes before end
+  minPresencePercent: 0       // below this share of the meeting counts as absent
+};
+
+const MINUTE = 60000;
+
+/**
+ * Resolve the thresholds for a Meet code (global rules overridden per code)
+ */
+export function resolveRules(settings, meetingId) {
+  return {
+    ...DEFAULT_RULES,
+    ...settings.attendanceRules,
+    ...(settings.meetingRules || {})[meetingId]
+  };
+}
+
+/**
+ * Get the effective end of a meeting (ongoing meetings end "now")
+ */
+export function getMeetingEnd(meeting) {
+  return meeting.endTime ? new Date(meeting.endTime).getTime() : Date.now();
+}
+
+/**
+ * Convert join/leave events into merged presence intervals (ms timestamps)
+ * Overlapping joins (e.g. the same person on two devices) are merged, and a
+ * Join without a matching Leave is closed at endTime.
+ */
+export function getPresenceIntervals(events, endTime) {
+  const sorted = (events || [])
+    .filter(e => e.time)
+    .map(e => ({ time: new Date(e.time).getTime(), type: e.type }))
+    .sort((a, b) => a.time - b.time || (a.type === 'Join' ? -1 : 1));
+
+  const intervals = [];
+  let depth = 0;
+  let start = null;
+
+  for (const event of sorted) {
+    if (event.type === 'Join') {
+      if (depth === 0) {
+        start = event.time;
+      }
+      depth++;
+    } else if (event.type === 'Leave' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        intervals.push({ start, end: event.time });
+      }
+    }
+  }
+
+  if (depth > 0) {
+    intervals.push({ start, end: Math.max(start, endTime) });
+  }
+
+  return intervals;
+}
+
+/**
+ * Classify a single participant
+ */
+export function classifyParticipant(participant, meeting, rules) {
+  const meetingStart = new Date(meeting.startTime).getTime();
+  const meetingEnd = getMeetingEnd(meeting);
+  const intervals = getPresenceIntervals(participant.events, meetingEnd);
+
+  if (intervals.length === 0) {
+    return ATTENDANCE_STATUS.ABSENT;
+  }
+
+  const duration = meetingEnd - meetingStart;
+  if (rules.minPresencePercent > 0 && duration > 0) {
+    const presentMs = intervals.reduce((sum, i) => sum + (i.end - i.start), 0);
+    if ((presentMs / duration) * 100 < rules.minPresencePercent) {
+      return ATTENDANCE_STATUS.ABSENT;
+    }
+  }
+
+  const firstJoin = intervals[0].start;
+  if (firstJoin > meetingStart + rules.lateAfterMinutes * MINUTE) {
+    return ATTENDANCE_STATUS.LATE;
+  }
+
+  // Only finished meetings can be left early
+  const lastLeave = intervals[intervals.length - 1].end;
+  if (meeting.endTime && lastLeave < meetingEnd - rules.leftEarlyMinutes * MINUTE) {
+    return ATTENDANCE_STATUS.LEFT_EARLY;
+  }
+
+  return ATTENDANCE_STATUS.PRESENT;
+}
+
+/**
+ * Return a copy of the meeting with a computed status on every participant
+ */
+export function applyAttendanceRules(meeting, rules) {
+  const participants = {};
+
+  for (const [key, p] of Object.entries(meeting.participants || {})) {
+    participants[key] = {
+      ...p,
+      status: classifyParticipant(p, meeting, rules)
+    };
+  }
+
+  return { ...meeting, participants, rules };
+}
@@ -0,0 +1,105 @@
+/**
+ * Attendance Summary
+ * Sums up each participant's join/leave intervals into time attended
+ */
+
+import { getPresenceIntervals, getMeetingEnd } from './attendance-rules.js';
+
+/**
+ * Identify the same person across meetings (email when known, else the name)
+ */
+export function getPersonKey(name, email) {
+  return email
+    ? `email:${email.trim().toLowerCase()}`
+    : `name:${(name || '').trim().replace(/\s+/g, ' ').toLowerCase()}`;
+}
+
+/**
+ * Summarize a participant's presence during a meeting
+ */
+export function summarizeParticipant(participant, meeting) {
+  const meetingStart = new Date(meeting.startTime).getTime();
+  const meetingEnd = getMeetingEnd(meeting);
+  const intervals = getPresenceIntervals(participant.events, meetingEnd);
+
+  if (intervals.length === 0) {
+    return {
+      firstJoin: null,
+      lastLeave: null,
+      totalMinutes: 0,
+      reconnects: 0,
+      percent: 0
+    };
+  }
+
+  const presentMs = intervals.reduce((sum, i) => sum + (i.end - i.start), 0);
+  const duration = meetingEnd - meetingStart;
+
+  // Still connected in an ongoing meeting: there is no last leave yet
+  const lastLeave = participant.isPresent && !meeting.endTime
+    ? null
+    : intervals[intervals.length - 1].end;
+
+  return {
+    firstJoin: new Date(intervals[0].start).toISOString(),
+    lastLeave: lastLeave ? new Date(lastLeave).toISOString() : null,
+    totalMinutes: Math.round(presentMs / 60000),
+    reconnects: intervals.length - 1,
+    percent: duration > 0 ? Math.min(100, Math.round((presentMs / duration) * 100)) : 0
+  };
+}
+
+/**
+ * Return a copy of the meeting with a summary on every participant
+ */
+export function applyAttendanceSummary(meeting) {
+  const participants = {};
+
+  for (const [key, p] of Object.entries(meeting.participants || {})) {
+    participants[key] = {
+      ...p,
+      summary: summarizeParticipant(p, meeting)
+    };
+  }
+
+  return { ...meeting, participants };
+}
+
+/**
+ * Count how many participants were present over the course of a meeting
+ * Returns steps [{ time, count }] (ms timestamps): the headcount from each time
+ * until the next step. The last step marks the meeting end.
+ */
+export function getHeadcountTimeline(meeting) {
+  const meetingStart = new Date(meeting.startTime).getTime();
+  const meetingEnd = getMeetingEnd(meeting);
+  const changes = [];
+
+  for (const p of Object.values(meeting.participants || {})) {
+    for (const interval of getPresenceIntervals(p.events, meetingEnd)) {
+      changes.push({ time: interval.start, delta: 1 }, { time: interval.end, delta: -1 });
+    }
+  }
+
+  // Leaves before joins at the same instant, so reconnects don't spike the count
+  changes.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+  const steps = [{ time: meetingStart, count: 0 }];
+  let count = 0;
+
+  for (const change of changes) {
+    count += change.delta;
+    const last = steps[steps.length - 1];
+    if (change.time <= last.time) {
+      last.count = count;
+    } else {
+      steps.push({ time: change.time, count });
+    }
+  }
+
+  if (meetingEnd > steps[steps.length - 1].time) {
+    steps.push({ time: meetingEnd, count });
+  }
+
+  return steps;
+}
@@ -0,0 +1,115 @@
+/**
+ * Attendance Workbook
+ * Builds the XLSX export of one or more meeting sessions (Meetings, Summary and Events sheets)
+ * Events columns follow the column template, like the event CSV and Sheets sync.
+ */
+
+import { createWorkbook } from './xlsx.js';
+import { ATTENDANCE_STATUS } from './attendance-rules.js';
+import { summarizeParticipant } from './attendance-summary.js';
+import { getRosterStatus, ROSTER_STATUS } from './roster.js';
+import { buildAbsentRows, buildTemplateRow, getTemplateHeaders } from './column-template.js';
+
+const toDate = time => time ? new Date(time) : null;
+
+/**
+ * Build an XLSX workbook from meeting reports (as returned by getMeetingReport)
+ * Times are written as real date cells so they sort and filter in Excel.
+ */
+export function buildAttendanceWorkbook(meetings, columns) {
+  const meetingRows = [];
+  const summaryRows = [];
+  const events = [];
+
+  for (const meeting of meetings) {
+    const { sessionId, meetingId } = meeting;
+    const participants = meeting.participants || {};
+    const rosterReport = meeting.rosterReport || null;
+    const start = toDate(meeting.startTime);
+
+    meetingRows.push([
+      sessionId,
+      meetingId,
+      start,
+      toDate(meeting.endTime),
+      meeting.startTime && meeting.endTime
+        ? Math.round((new Date(meeting.endTime) - new Date(meeting.startTime)) / 60000)
+        : null,
+      Object.keys(participants).length,
+      meeting.url || '',
+      meeting.title || '',
+      (meeting.tags || []).join(', '),
+      meeting.notes || ''
+    ]);
+
+    for (const [key, p] of Object.entries(participants)) {
+      const summary = p.summary || summarizeParticipant(p, meeting);
+      const rosterStatus = getRosterStatus(rosterReport, key);
+
+      summaryRows.push([
+        sessionId,
+        meetingId,
+        start,
+        p.name,
+        p.email || '',
+        toDate(summary.firstJoin),
+        toDate(summary.lastLeave),
+        summary.totalMinutes,
+        summary.reconnects,
+        summary.percent,
+        p.status || '',
+        rosterStatus
+      ]);
+
+      for (const event of p.events || []) {
+        events.push({
+          time: toDate(event.time),
+          row: [sessionId, ...buildTemplateRow(meeting, key, p, event, columns, { dates: true })]
+        });
+      }
+    }
+
+    for (const entry of rosterReport?.absent || []) {
+      summaryRows.push([
+        sessionId, meetingId, start, entry.name, entry.email || '',
+        null, null, 0, 0, 0, ATTENDANCE_STATUS.ABSENT, ROSTER_STATUS.ABSENT
+      ]);
+    }
+
+    // Roster members who never joined, as in the event CSV and Sheets: listed at the session's end
+    const end = toDate(meeting.endTime) || start;
+    for (const row of buildAbsentRows(meeting, columns, { dates: true })) {
+      events.push({ time: end, row: [sessionId, ...row] });
+    }
+  }
+
+  // Events in time order across all sessions (a stable sort keeps absent rows last)
+  events.sort((a, b) => (a.time || 0) - (b.time || 0));
+
+  return createWorkbook([
+    {
+      name: 'Summary',
+      headers: [
+        'Session ID', 'Meeting ID', 'Meeting Start', 'Name', 'Email', 'First Join', 'Last Leave',
+        'Minutes', 'Reconnects', 'Attendance %', 'Status', 'Roster'
+      ],
+      widths: [28, 14, 20, 24, 28, 20, 20, 10, 12, 14, 12, 12],
+      rows: summaryRows
+    },
+    {
+      name: 'Events',
+      headers: ['Session ID', ...getTemplateHeaders(columns)],
+      widths: [28],
+      rows: events.map(event => event.row)
+    },
+    {
+      name: 'Meetings',
+      headers: [
+        'Session ID', 'Meeting ID', 'Start Time', 'End Time', 'Duration (min)', 'Participant Count', 'URL',
+        'Title', 'Tags', 'Notes'
+      ],
+      widths: [28, 14, 20, 20, 14, 18, 40, 30, 20, 40],
+      rows: meetingRows
+    }
+  ]);
+}
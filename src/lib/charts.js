@@ -0,0 +1,192 @@
+/**
+ * SVG Charts
+ * Small bar, line and headcount charts rendered locally (no external chart libraries)
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const SIZE = { width: 560, height: 220, left: 40, right: 12, top: 12, bottom: 36 };
+
+// The headcount chart spans a printed page
+const HEADCOUNT_SIZE = { width: 820, height: 200, left: 36, right: 12, top: 12, bottom: 28 };
+
+/**
+ * Create an SVG element with attributes and optional text
+ */
+function svgElement(tag, attributes, text) {
+  const element = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, value);
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/**
+ * Pick a round step for about four value gridlines
+ */
+function niceStep(max) {
+  const raw = max / 4;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(n => n * magnitude).find(n => n >= raw);
+  return Math.max(step, 1);
+}
+
+/**
+ * Draw the value axis, gridlines and category labels shared by both charts
+ */
+function createFrame(points, max) {
+  const svg = svgElement('svg', { viewBox: `0 0 ${SIZE.width} ${SIZE.height}`, class: 'chart', role: 'img' });
+  const plotWidth = SIZE.width - SIZE.left - SIZE.right;
+  const plotHeight = SIZE.height - SIZE.top - SIZE.bottom;
+  const step = niceStep(max);
+  const top = Math.ceil(max / step) * step;
+
+  const y = value => SIZE.top + plotHeight - (value / top) * plotHeight;
+  const band = plotWidth / Math.max(points.length, 1);
+  const x = index => SIZE.left + band * (index + 0.5);
+
+  for (let value = 0; value <= top; value += step) {
+    svg.appendChild(svgElement('line', {
+      class: 'chart-grid', x1: SIZE.left, x2: SIZE.width - SIZE.right, y1: y(value), y2: y(value)
+    }));
+    svg.appendChild(svgElement('text', {
+      class: 'chart-label', x: SIZE.left - 6, y: y(value) + 4, 'text-anchor': 'end'
+    }, String(value)));
+  }
+
+  // Thin out category labels so they don't overlap
+  const every = Math.ceil(points.length / 8);
+  points.forEach((point, index) => {
+    if (index % every !== 0) return;
+    svg.appendChild(svgElement('text', {
+      class: 'chart-label', x: x(index), y: SIZE.height - 12, 'text-anchor': 'middle'
+    }, point.label));
+  });
+
+  return { svg, x, y, band };
+}
+
+/**
+ * Show a message instead of a chart when there is no data
+ */
+function renderEmpty(container) {
+  container.innerHTML = '<p class="chart-empty">No data</p>';
+}
+
+/**
+ * Render a bar chart of points [{ label, value }]
+ */
+export function renderBarChart(container, points) {
+  if (points.length === 0) {
+    renderEmpty(container);
+    return;
+  }
+
+  const max = Math.max(1, ...points.map(p => p.value));
+  const { svg, x, y, band } = createFrame(points, max);
+  const barWidth = Math.max(2, band * 0.7);
+
+  points.forEach((point, index) => {
+    const bar = svgElement('rect', {
+      class: 'chart-bar',
+      x: x(index) - barWidth / 2,
+      y: y(point.value),
+      width: barWidth,
+      height: y(0) - y(point.value)
+    });
+    bar.appendChild(svgElement('title', {}, `${point.label}: ${point.value}`));
+    svg.appendChild(bar);
+  });
+
+  container.innerHTML = '';
+  container.appendChild(svg);
+}
+
+/**
+ * Render a line chart of points [{ label, value }] (null values leave a gap)
+ */
+export function renderLineChart(container, points, max = null) {
+  if (points.every(p => p.value === null)) {
+    renderEmpty(container);
+    return;
+  }
+
+  const { svg, x, y } = createFrame(points, max ?? Math.max(1, ...points.map(p => p.value ?? 0)));
+
+  let path = '';
+  let penDown = false;
+  points.forEach((point, index) => {
+    if (point.value === null) {
+      penDown = false;
+      return;
+    }
+    path += `${penDown ? 'L' : 'M'} ${x(index)} ${y(point.value)} `;
+    penDown = true;
+
+    const dot = svgElement('circle', { class: 'chart-dot', cx: x(index), cy: y(point.value), r: 3 });
+    dot.appendChild(svgElement('title', {}, `${point.label}: ${point.value}`));
+    svg.appendChild(dot);
+  });
+
+  svg.insertBefore(svgElement('path', { class: 'chart-line', d: path.trim() }), svg.querySelector('.chart-dot'));
+
+  container.innerHTML = '';
+  container.appendChild(svg);
+}
+
+/**
+ * Render a headcount step chart over time from steps [{ time, count }]
+ * (as returned by getHeadcountTimeline)
+ */
+export function renderHeadcountChart(container, steps) {
+  const size = HEADCOUNT_SIZE;
+  const start = steps[0].time;
+  const end = steps[steps.length - 1].time;
+  const span = Math.max(end - start, 60000);
+  const maxCount = Math.max(1, ...steps.map(step => step.count));
+
+  const plotWidth = size.width - size.left - size.right;
+  const plotHeight = size.height - size.top - size.bottom;
+  const x = time => size.left + ((time - start) / span) * plotWidth;
+  const y = count => size.top + plotHeight - (count / maxCount) * plotHeight;
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${size.width} ${size.height}`, class: 'chart', role: 'img' });
+
+  // Horizontal grid lines and count labels
+  const countStep = Math.max(1, Math.ceil(maxCount / 4));
+  for (let count = 0; count <= maxCount; count += countStep) {
+    svg.appendChild(svgElement('line', {
+      class: 'chart-grid', x1: size.left, x2: size.width - size.right, y1: y(count), y2: y(count)
+    }));
+    svg.appendChild(svgElement('text', {
+      class: 'chart-label', x: size.left - 6, y: y(count) + 4, 'text-anchor': 'end'
+    }, String(count)));
+  }
+
+  // Step line: hold each count until the next change
+  let path = `M ${x(steps[0].time)} ${y(steps[0].count)}`;
+  for (let i = 1; i < steps.length; i++) {
+    path += ` H ${x(steps[i].time)} V ${y(steps[i].count)}`;
+  }
+  const baseline = y(0);
+  svg.appendChild(svgElement('path', { class: 'chart-area', d: `${path} V ${baseline} H ${x(start)} Z` }));
+  svg.appendChild(svgElement('path', { class: 'chart-line', d: path }));
+
+  // Time axis with evenly spaced labels
+  svg.appendChild(svgElement('line', {
+    class: 'chart-axis', x1: size.left, x2: size.width - size.right, y1: baseline, y2: baseline
+  }));
+  const tickCount = 6;
+  for (let i = 0; i <= tickCount; i++) {
+    const time = start + (span * i) / tickCount;
+    const anchor = i === 0 ? 'start' : i === tickCount ? 'end' : 'middle';
+    svg.appendChild(svgElement('text', { class: 'chart-label', x: x(time), y: size.height - 8, 'text-anchor': anchor },
+      new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })));
+  }
+
+  container.innerHTML = '';
+  container.appendChild(svg);
+}
@@ -0,0 +1,197 @@
+/**
+ * Column Templates
+ * Chooses, orders and renames the columns of join/leave event rows
+ * (the event CSV, the Sheets event sheets and the XLSX Events sheet share one template).
+ * Summary outputs keep fixed columns: the Sheets Overview formulas read them by position.
+ */
+
+import { ATTENDANCE_STATUS } from './attendance-rules.js';
+import { summarizeParticipant } from './attendance-summary.js';
+import { getRosterStatus, ROSTER_STATUS } from './roster.js';
+
+const formatTime = time => time ? new Date(time).toLocaleString() : '';
+const toDate = time => time ? new Date(time) : null;
+
+/**
+ * Fields available to templates
+ * Each value is read from a row context:
+ * { meeting, participantKey, participant, event, summary, rosterEntry, formatTime }
+ */
+export const COLUMN_FIELDS = {
+  meetingId: {
+    label: 'Meeting ID',
+    value: row => row.meeting.meetingId
+  },
+  title: {
+    label: 'Meeting Title',
+    value: row => row.meeting.title || ''
+  },
+  tags: {
+    label: 'Tags',
+    value: row => (row.meeting.tags || []).join(', ')
+  },
+  notes: {
+    label: 'Notes',
+    value: row => row.meeting.notes || ''
+  },
+  meetingStart: {
+    label: 'Meeting Start',
+    value: row => row.formatTime(row.meeting.startTime)
+  },
+  meetingEnd: {
+    label: 'Meeting End',
+    value: row => row.formatTime(row.meeting.endTime)
+  },
+  meetingDuration: {
+    label: 'Meeting Duration (min)',
+    value: row => row.meeting.startTime && row.meeting.endTime
+      ? Math.round((new Date(row.meeting.endTime) - new Date(row.meeting.startTime)) / 60000)
+      : ''
+  },
+  url: {
+    label: 'Meeting URL',
+    value: row => row.meeting.url || ''
+  },
+  name: {
+    label: 'Name',
+    value: row => row.participant.name
+  },
+  email: {
+    label: 'Email',
+    value: row => row.participant.email || ''
+  },
+  studentId: {
+    label: 'Student ID',
+    value: row => row.rosterEntry?.studentId || ''
+  },
+  time: {
+    label: 'Time',
+    value: row => row.formatTime(row.event?.time)
+  },
+  type: {
+    label: 'Type',
+    value: row => row.event?.type || ''
+  },
+  status: {
+    label: 'Status',
+    value: row => row.participant.status || ''
+  },
+  roster: {
+    label: 'Roster',
+    value: row => row.participantKey
+      ? getRosterStatus(row.meeting.rosterReport || null, row.participantKey)
+      : ROSTER_STATUS.ABSENT
+  },
+  minutes: {
+    label: 'Minutes Attended',
+    value: row => row.summary.totalMinutes
+  },
+  attendancePercent: {
+    label: 'Attendance %',
+    value: row => row.summary.percent
+  }
+};
+
+export const DEFAULT_COLUMN_TEMPLATE = [
+  { field: 'meetingId', label: 'Meeting ID' },
+  { field: 'name', label: 'Name' },
+  { field: 'email', label: 'Email' },
+  { field: 'time', label: 'Time' },
+  { field: 'type', label: 'Type' },
+  { field: 'status', label: 'Status' },
+  { field: 'roster', label: 'Roster' }
+];
+
+/**
+ * Check whether a column template is valid
+ */
+export function validateColumnTemplate(template) {
+  if (!Array.isArray(template) || template.length === 0) {
+    return 'Choose at least one column';
+  }
+
+  for (const column of template) {
+    if (!COLUMN_FIELDS[column.field]) {
+      return `Unknown column field: ${column.field}`;
+    }
+    if (!column.label || !column.label.trim()) {
+      return `Column "${COLUMN_FIELDS[column.field].label}" needs a name`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get a usable template (the default when unset or invalid)
+ */
+export function resolveColumnTemplate(template) {
+  return validateColumnTemplate(template) ? DEFAULT_COLUMN_TEMPLATE : template;
+}
+
+/**
+ * Get the header row of a template
+ */
+export function getTemplateHeaders(template) {
+  return resolveColumnTemplate(template).map(column => column.label);
+}
+
+/**
+ * Build the template row for one join/leave event
+ * options.dates writes times as Date objects (for XLSX date cells) instead of local strings
+ */
+export function buildTemplateRow(meeting, participantKey, participant, event, template, options = {}) {
+  const rosterEntry = (meeting.rosterReport?.matched || [])
+    .find(m => m.participantKey === participantKey) || null;
+
+  const row = {
+    meeting,
+    participantKey,
+    participant,
+    event,
+    summary: participant.summary || summarizeParticipant(participant, meeting),
+    rosterEntry,
+    formatTime: options.dates ? toDate : formatTime
+  };
+
+  return resolveColumnTemplate(template).map(column => COLUMN_FIELDS[column.field].value(row));
+}
+
+/**
+ * Build the template rows of a meeting session: one per join/leave event,
+ * plus one without a time per roster member who never joined
+ * options as for buildTemplateRow
+ */
+export function buildTemplateRows(meeting, template, options = {}) {
+  const columns = resolveColumnTemplate(template);
+  const rows = [];
+
+  for (const [key, p] of Object.entries(meeting.participants || {})) {
+    for (const event of p.events || []) {
+      rows.push(buildTemplateRow(meeting, key, p, event, columns, options));
+    }
+  }
+
+  return [...rows, ...buildAbsentRows(meeting, columns, options)];
+}
+
+/**
+ * Build the template rows of the roster members who never joined (no time or type)
+ * options as for buildTemplateRow
+ */
+export function buildAbsentRows(meeting, template, options = {}) {
+  const columns = resolveColumnTemplate(template);
+
+  return (meeting.rosterReport?.absent || []).map(entry => {
+    const row = {
+      meeting,
+      participantKey: null,
+      participant: { name: entry.name, email: entry.email, status: ATTENDANCE_STATUS.ABSENT },
+      event: null,
+      summary: { totalMinutes: 0, percent: 0 },
+      rosterEntry: entry,
+      formatTime: options.dates ? toDate : formatTime
+    };
+    return columns.map(column => COLUMN_FIELDS[column.field].value(row));
+  });
+}
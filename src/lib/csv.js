@@ -0,0 +1,18 @@
+/**
+ * CSV Helpers
+ * Quoting shared by the CSV exports (events, summary, attendance matrix, person history)
+ */
+
+/**
+ * Quote a value for CSV output
+ */
+export function csvField(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Join rows of values into CSV text, every field quoted
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\n');
+}
@@ -0,0 +1,62 @@
+/**
+ * Detection Diagnostics
+ * Formats the selector statistics reported by the content script for bug reports
+ */
+
+/**
+ * Format a list of [label, hits] pairs, most hits first
+ */
+function formatHits(hits) {
+  const entries = Object.entries(hits || {}).sort(([, a], [, b]) => b - a);
+  if (entries.length === 0) {
+    return ['  (none)'];
+  }
+  return entries.map(([label, count]) => `  ${String(count).padStart(6)}  ${label}`);
+}
+
+/**
+ * Build a plain-text diagnostics report
+ * report: { meetingId, sessionId, live, diagnostics } as returned by GET_DIAGNOSTICS
+ * environment: { version, userAgent, debugMode }
+ */
+export function formatDiagnosticsReport(report, environment = {}) {
+  const lines = [
+    'Meet Attendance - detection diagnostics',
+    `Extension version: ${environment.version || '-'}`,
+    `Browser: ${environment.userAgent || '-'}`,
+    `Debug mode: ${environment.debugMode ? 'on' : 'off'}`,
+    ''
+  ];
+
+  const diagnostics = report?.diagnostics;
+  if (!diagnostics) {
+    lines.push('No detection data yet. Join a meeting to collect statistics.');
+    return lines.join('\n');
+  }
+
+  lines.push(
+    `Meeting: ${report.meetingId || '-'} (${report.live ? 'in progress' : 'last tracked'})`,
+    `Session: ${report.sessionId || '-'}`,
+    `Meet UI language: ${diagnostics.uiLanguage || '-'}`,
+    `Tracking since: ${diagnostics.startedAt}`,
+    `Last updated: ${diagnostics.updatedAt}`,
+    `Scans: ${diagnostics.scans} (${diagnostics.emptyScans} found nobody)`,
+    `Last match: ${diagnostics.lastMatchAt}`,
+    `Participant panel button found: ${diagnostics.panelButtonFound ? 'yes' : 'no'}`,
+    `Warning: ${diagnostics.warning ? 'no participant matched for over a minute' : 'none'}`,
+    '',
+    'Participant selector hits:',
+    ...formatHits(diagnostics.selectorHits),
+    '',
+    'Name extraction method hits:',
+    ...formatHits(diagnostics.methodHits)
+  );
+
+  const sources = Object.entries(diagnostics.sources || {});
+  if (sources.length > 0) {
+    lines.push('', 'Detected participants (selector → method):');
+    lines.push(...sources.map(([name, source]) => `  ${name}: ${source}`));
+  }
+
+  return lines.join('\n');
+}
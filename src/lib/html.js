@@ -0,0 +1,33 @@
+/**
+ * HTML Helpers
+ * Shared by the extension pages that build markup from meeting data or download exports
+ */
+
+/**
+ * Escape HTML to prevent XSS
+ */
+export function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Get the CSS class for an attendance status tag
+ */
+export function statusTagClass(status) {
+  return 'status-tag-' + status.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Save a blob as a file download
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,60 @@
+/**
+ * Storage Schema Migrations
+ * Upgrades stored meetings (and imported exports) from older data shapes.
+ */
+
+/**
+ * Version of the meeting records written by this build
+ * 1: records keyed by Meet code, participants keyed by display name
+ * 2: one record per session, with a sessionId
+ * 3: participants carry a Meet participant id (or null) and all display names seen
+ */
+export const CURRENT_SCHEMA_VERSION = 3;
+
+/**
+ * Steps upgrading meeting records to a version from the one before it
+ * Each step receives a copy of the meetings keyed by storage key and returns it upgraded.
+ * Steps must also accept records already in the target shape: data saved before
+ * versioning existed is migrated from version 1.
+ */
+const MIGRATIONS = {
+  2: meetings => {
+    // Keep the storage key as the session ID so synced Sheets rows and queued syncs still match
+    for (const [key, meeting] of Object.entries(meetings)) {
+      meeting.sessionId = meeting.sessionId || key;
+    }
+    return meetings;
+  },
+
+  3: meetings => {
+    for (const meeting of Object.values(meetings)) {
+      for (const participant of Object.values(meeting.participants || {})) {
+        participant.id = participant.id ?? null;
+        participant.names = participant.names || [participant.name];
+        participant.events = participant.events || [];
+      }
+    }
+    return meetings;
+  }
+};
+
+/**
+ * Upgrade meeting records from a schema version to the current one
+ * Returns a new object; the input is left untouched. Throws when the data is
+ * from a newer version or a step fails.
+ */
+export function migrateMeetings(meetings, fromVersion) {
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Data is from a newer version of the extension (schema ${fromVersion})`);
+  }
+
+  let migrated = structuredClone(meetings);
+  for (let version = fromVersion + 1; version <= CURRENT_SCHEMA_VERSION; version++) {
+    try {
+      migrated = MIGRATIONS[version](migrated);
+    } catch (error) {
+      throw new Error(`Migration to schema ${version} failed: ${error.message}`);
+    }
+  }
+  return migrated;
+}
@@ -0,0 +1,110 @@
+/**
+ * Person History
+ * Every stored session of one person, across meetings
+ */
+
+import { ATTENDANCE_STATUS } from './attendance-rules.js';
+import { getPersonKey, summarizeParticipant } from './attendance-summary.js';
+import { toCSV } from './csv.js';
+
+/**
+ * Build the attendance history of a person from meeting reports (as returned by getMeetingReport)
+ * Sessions where the person is on the roster but never joined are listed as Absent.
+ * The attendance rate counts the sessions of the meeting codes the person belongs to.
+ */
+export function buildPersonHistory(meetings, name, email) {
+  const personKey = getPersonKey(name, email);
+  const sessions = [...meetings].sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+  const entries = [];
+  const codes = new Set();
+
+  for (const meeting of sessions) {
+    const records = Object.values(meeting.participants || {})
+      .filter(p => getPersonKey(p.name, p.email) === personKey);
+
+    if (records.length > 0) {
+      // The same person twice in one session (e.g. two devices without an alias): keep the longest record
+      const [record, summary] = records
+        .map(p => [p, p.summary || summarizeParticipant(p, meeting)])
+        .reduce((best, current) => current[1].totalMinutes > best[1].totalMinutes ? current : best);
+
+      codes.add(meeting.meetingId);
+      entries.push({
+        sessionId: meeting.sessionId,
+        meetingId: meeting.meetingId,
+        startTime: meeting.startTime,
+        events: record.events || [],
+        firstJoin: summary.firstJoin,
+        lastLeave: summary.lastLeave,
+        minutes: summary.totalMinutes,
+        percent: summary.percent,
+        status: record.status || ATTENDANCE_STATUS.PRESENT
+      });
+      continue;
+    }
+
+    const isRosterAbsent = (meeting.rosterReport?.absent || [])
+      .some(entry => getPersonKey(entry.name, entry.email) === personKey);
+
+    if (isRosterAbsent) {
+      codes.add(meeting.meetingId);
+      entries.push({
+        sessionId: meeting.sessionId,
+        meetingId: meeting.meetingId,
+        startTime: meeting.startTime,
+        events: [],
+        firstJoin: null,
+        lastLeave: null,
+        minutes: 0,
+        percent: 0,
+        status: ATTENDANCE_STATUS.ABSENT
+      });
+    }
+  }
+
+  const attendedEntries = entries.filter(entry => entry.status !== ATTENDANCE_STATUS.ABSENT);
+  const eligible = sessions.filter(meeting => codes.has(meeting.meetingId)).length;
+  const minutes = attendedEntries.reduce((sum, entry) => sum + entry.minutes, 0);
+
+  const byStatus = {};
+  for (const entry of entries) {
+    byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+  }
+
+  return {
+    name,
+    email: email || '',
+    entries,
+    totals: {
+      attended: attendedEntries.length,
+      eligible,
+      rate: eligible > 0 ? Math.round((attendedEntries.length / eligible) * 100) : 0,
+      minutes,
+      avgMinutes: attendedEntries.length > 0 ? Math.round(minutes / attendedEntries.length) : 0,
+      byStatus
+    }
+  };
+}
+
+/**
+ * Convert a person history to CSV (one row per session)
+ */
+export function personHistoryToCSV(history) {
+  const rows = [['Name', 'Email', 'Meeting ID', 'Meeting Start', 'First Join', 'Last Leave', 'Minutes', 'Attendance %', 'Status']];
+
+  for (const entry of history.entries) {
+    rows.push([
+      history.name,
+      history.email,
+      entry.meetingId,
+      entry.startTime,
+      entry.firstJoin || '',
+      entry.lastLeave || '',
+      entry.minutes,
+      entry.percent,
+      entry.status
+    ]);
+  }
+
+  return toCSV(rows);
+}
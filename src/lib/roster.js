@@ -0,0 +1,157 @@
+/**
+ * Roster Matching
+ * Parses expected attendee lists and compares them with tracked participants
+ */
+
+export const ROSTER_STATUS = {
+  MATCHED: 'Present',
+  ABSENT: 'Absent',
+  UNEXPECTED: 'Unexpected'
+};
+
+/**
+ * Split a single CSV line into fields (handles quoted values)
+ */
+function parseCSVLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse a roster from CSV text (one person per line: name[, email[, student ID]])
+ * A header row is detected when one of its columns is "name" (or "이름")
+ */
+export function parseRosterCSV(text) {
+  const lines = (text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim());
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const delimiter = lines[0].includes('\t') ? '\t' : ',';
+  let nameIndex = 0;
+  let emailIndex = 1;
+  let studentIdIndex = 2;
+
+  const firstRow = parseCSVLine(lines[0], delimiter).map(f => f.toLowerCase());
+  if (firstRow.includes('name') || firstRow.includes('이름')) {
+    nameIndex = Math.max(firstRow.indexOf('name'), firstRow.indexOf('이름'));
+    emailIndex = firstRow.findIndex(f => f === 'email' || f === 'e-mail' || f === '이메일');
+    studentIdIndex = firstRow.findIndex(f => ['student id', 'student_id', 'id', '학번'].includes(f));
+    lines.shift();
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    const fields = parseCSVLine(line, delimiter);
+    const name = fields[nameIndex];
+    if (!name) continue;
+
+    const email = emailIndex >= 0 ? fields[emailIndex] : null;
+    entries.push({
+      name,
+      email: email && email.includes('@') ? email : null,
+      studentId: (studentIdIndex >= 0 && fields[studentIdIndex]) || null
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Normalize a name for matching (case, surrounding and repeated whitespace)
+ */
+function normalizeName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Compare a roster with a meeting's participants
+ * Each roster entry matches at most one participant, by email first, then by name.
+ */
+export function matchRoster(roster, participants) {
+  const remaining = new Map(Object.entries(participants || {}));
+  const matched = [];
+  const absent = [];
+
+  for (const entry of roster) {
+    let matchKey = null;
+
+    if (entry.email) {
+      const email = entry.email.toLowerCase();
+      for (const [key, p] of remaining) {
+        if (p.email && p.email.toLowerCase() === email) {
+          matchKey = key;
+          break;
+        }
+      }
+    }
+
+    if (!matchKey) {
+      const name = normalizeName(entry.name);
+      for (const [key, p] of remaining) {
+        if (normalizeName(p.name) === name) {
+          matchKey = key;
+          break;
+        }
+      }
+    }
+
+    if (matchKey) {
+      matched.push({ name: entry.name, email: entry.email, studentId: entry.studentId, participantKey: matchKey });
+      remaining.delete(matchKey);
+    } else {
+      absent.push({ name: entry.name, email: entry.email, studentId: entry.studentId });
+    }
+  }
+
+  const unexpected = Array.from(remaining, ([key, p]) => ({
+    name: p.name,
+    email: p.email || null,
+    participantKey: key
+  }));
+
+  return { matched, absent, unexpected };
+}
+
+/**
+ * Get the roster status of a participant from a meeting's roster report
+ */
+export function getRosterStatus(rosterReport, participantKey) {
+  if (!rosterReport) {
+    return '';
+  }
+  if (rosterReport.matched.some(m => m.participantKey === participantKey)) {
+    return ROSTER_STATUS.MATCHED;
+  }
+  return ROSTER_STATUS.UNEXPECTED;
+}
@@ -0,0 +1,147 @@
+/**
+ * Selector Profile
+ * CSS selectors the content script uses to read the Meet page. Stored in
+ * settings so they can be fixed without a new release when Meet changes its DOM.
+ */
+
+/**
+ * Profile fields, in the order shown on the options page
+ */
+export const SELECTOR_PROFILE_FIELDS = {
+  participant: {
+    label: 'Participant elements',
+    help: 'Elements that each represent one participant (all selectors are tried)'
+  },
+  name: {
+    label: 'Name inside a participant',
+    help: 'Used when the participant element has no aria-label (first match wins)'
+  },
+  email: {
+    label: 'Email inside a participant',
+    help: 'Read from data-email, otherwise the element text'
+  },
+  self: {
+    label: 'Current user',
+    help: 'Element naming yourself (data-self-name, otherwise the element text)'
+  },
+  panel: {
+    label: 'Participant panel',
+    help: 'The open People panel, left open when found at start (translated aria-labels are added automatically)'
+  },
+  callEnded: {
+    label: 'Call ended',
+    help: 'Present once the call has ended'
+  },
+  returnHome: {
+    label: 'Return to home screen',
+    help: 'Button shown after you left the call'
+  },
+  meetingControls: {
+    label: 'Meeting controls',
+    help: 'Present while in the call; the meeting ends when these are gone'
+  },
+  meetingTitle: {
+    label: 'Meeting title',
+    help: 'Meeting name shown in the call (data-meeting-title, otherwise the element text); the tab title is the fallback'
+  }
+};
+
+export const DEFAULT_SELECTOR_PROFILE = {
+  participant: [
+    'div[role="listitem"][aria-label]', // Participant list item with name in aria-label
+    '.KV1GEc', // Participant container
+    '[data-self-name]'
+  ],
+  name: ['.zWGUib', '[data-self-name]', '.XEazBc', '.ZjFb7c', '.cS7aqe'],
+  email: ['[data-email]', '.jxFHg'],
+  self: ['[data-self-name]', '[data-is-self="true"]', '.uGOf1d[data-self-name]'],
+  panel: ['[data-panel-id="5"]', '.TNczGb', '.VfPpkd-Bz112c-LgbsSe'],
+  callEnded: ['[data-call-ended="true"]'],
+  returnHome: ['[data-mdc-dialog-action="returnToHomePage"]', 'button[jsname="EszDse"]'],
+  meetingControls: ['[data-is-muted]'],
+  meetingTitle: ['[data-meeting-title]', '.u6vdEc'] // Meeting name at the bottom left of the call
+};
+
+/**
+ * Check a selector's syntax (skipped where there is no DOM, e.g. the service worker)
+ */
+function isValidSelector(selector) {
+  if (typeof document === 'undefined') {
+    return true;
+  }
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a selector profile is valid
+ * Returns an error message, or null when valid
+ */
+export function validateSelectorProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return 'Selector profile must be an object';
+  }
+
+  for (const [field, selectors] of Object.entries(profile)) {
+    const label = SELECTOR_PROFILE_FIELDS[field]?.label;
+    if (!label) {
+      return `Unknown selector field: ${field}`;
+    }
+    if (!Array.isArray(selectors) || selectors.some(s => typeof s !== 'string' || !s.trim())) {
+      return `"${label}" must be a list of selectors`;
+    }
+    if (field === 'participant' && selectors.length === 0) {
+      return `"${label}" needs at least one selector`;
+    }
+
+    const invalid = selectors.find(s => !isValidSelector(s));
+    if (invalid) {
+      return `Invalid selector in "${label}": ${invalid}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get a usable profile: the saved one with built-in defaults for missing fields
+ * (the defaults alone when unset or invalid)
+ */
+export function resolveSelectorProfile(profile) {
+  if (!profile || validateSelectorProfile(profile)) {
+    return { ...DEFAULT_SELECTOR_PROFILE };
+  }
+  return { ...DEFAULT_SELECTOR_PROFILE, ...profile };
+}
+
+/**
+ * Format the result of testing a profile on a Meet tab as plain text
+ */
+export function formatSelectorTestResult(result) {
+  const lines = [
+    `Meeting: ${result.meetingId || '(not in a call)'}`,
+    `UI language: ${result.uiLanguage || '(unknown)'}`,
+    `Participant panel button found: ${result.panelButtonFound ? 'yes' : 'no'}`
+  ];
+
+  for (const [field, matches] of Object.entries(result.fields)) {
+    lines.push('', SELECTOR_PROFILE_FIELDS[field]?.label || field);
+    for (const match of matches) {
+      lines.push(match.error
+        ? `  error  ${match.selector} (${match.error})`
+        : `  ${String(match.count).padStart(5)}  ${match.selector}`);
+    }
+  }
+
+  lines.push('', `Detected participants: ${result.participants.length}`);
+  for (const participant of result.participants) {
+    const email = participant.email ? ` <${participant.email}>` : '';
+    lines.push(`  ${participant.name}${email}: ${participant.selector} → ${participant.method}`);
+  }
+
+  return lines.join('\n');
+}
@@ -3,8 +3,35 @@
  * Handles OAuth2 authentication and Sheets API operations
  */
 
+import { getRosterStatus, ROSTER_STATUS } from './roster.js';
+import { ATTENDANCE_STATUS } from './attendance-rules.js';
+import { summarizeParticipant } from './attendance-summary.js';
+import { buildTemplateRow, buildTemplateRows, getTemplateHeaders } from './column-template.js';
+
 const SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
 
+const MEETINGS_HEADERS = [
+  'Session ID', 'Meeting ID', 'Start Time', 'End Time', 'Duration (min)', 'Participant Count', 'URL',
+  'Title', 'Tags', 'Notes'
+];
+
+const SUMMARY_HEADERS = [
+  'Session ID', 'Meeting ID', 'Name', 'Email', 'First Join', 'Last Leave',
+  'Minutes', 'Reconnects', 'Attendance %', 'Status', 'Roster'
+];
+
+const OVERVIEW_SHEET = 'Overview';
+
+/**
+ * Where join/leave event rows are written
+ * flat: one Participants sheet; perMeeting: a tab per Meet code; perSession: a tab per session
+ */
+export const SHEET_LAYOUTS = {
+  FLAT: 'flat',
+  PER_MEETING: 'perMeeting',
+  PER_SESSION: 'perSession'
+};
+
 /**
  * Get OAuth2 token using Chrome Identity API
  */
@@ -45,9 +72,7 @@ export async function isAuthenticated() {
  * Make authenticated API request to Google Sheets
  */
 async function apiRequest(url, options = {}) {
-  const token = await getAuthToken();
-
-  const response = await fetch(url, {
+  const send = token => fetch(url, {
     ...options,
     headers: {
       'Authorization': `Bearer ${token}`,
@@ -56,23 +81,19 @@ async function apiRequest(url, options = {}) {
     }
   });
 
+  const token = await getAuthToken();
+  let response = await send(token);
+
   if (response.status === 401) {
-    // Token expired, remove and retry
+    // Token expired, remove and retry once (a second failure is reported like any other)
     await removeCachedToken(token);
-    const newToken = await getAuthToken();
-    return fetch(url, {
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${newToken}`,
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    }).then(r => r.json());
+    response = await send(await getAuthToken());
   }
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'API request failed');
+    // Error bodies are JSON, except from proxies and outages
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error?.message || `API request failed (HTTP ${response.status})`);
   }
 
   return response.json();
@@ -80,8 +101,9 @@ async function apiRequest(url, options = {}) {
 
 /**
  * Create a new spreadsheet for attendance tracking
+ * options: { layout, columns } as for syncMeeting
  */
-export async function createSpreadsheet(title = 'Google Meet Attendance') {
+export async function createSpreadsheet(title = 'Google Meet Attendance', options = {}) {
   const data = {
     properties: {
       title
@@ -102,6 +124,14 @@ export async function createSpreadsheet(title = 'Google Meet Attendance') {
             frozenRowCount: 1
           }
         }
+      },
+      {
+        properties: {
+          title: 'Summary',
+          gridProperties: {
+            frozenRowCount: 1
+          }
+        }
       }
     ]
   };
@@ -112,7 +142,11 @@ export async function createSpreadsheet(title = 'Google Meet Attendance') {
   });
 
   // Initialize headers
-  await initializeSpreadsheetHeaders(spreadsheet.spreadsheetId);
+  await initializeSpreadsheetHeaders(spreadsheet.spreadsheetId, options.columns);
+
+  if (options.layout && options.layout !== SHEET_LAYOUTS.FLAT) {
+    await ensureOverviewSheet(spreadsheet.spreadsheetId);
+  }
 
   return spreadsheet;
 }
@@ -120,27 +154,132 @@ export async function createSpreadsheet(title = 'Google Meet Attendance') {
 /**
  * Initialize spreadsheet with headers
  */
-async function initializeSpreadsheetHeaders(spreadsheetId) {
-  const meetingsHeaders = [
-    ['Meeting ID', 'Start Time', 'End Time', 'Duration (min)', 'Participant Count', 'URL']
-  ];
-
-  const participantsHeaders = [
-    ['Meeting ID', 'Name', 'Email', 'Time', 'Type']
-  ];
+async function initializeSpreadsheetHeaders(spreadsheetId, columns) {
+  const participantsHeaders = [getEventHeaders(columns)];
 
   await batchUpdate(spreadsheetId, [
     {
-      range: 'Meetings!A1:F1',
-      values: meetingsHeaders
+      range: 'Meetings!A1',
+      values: [MEETINGS_HEADERS]
     },
     {
-      range: 'Participants!A1:E1',
+      range: 'Participants!A1',
       values: participantsHeaders
+    },
+    {
+      range: 'Summary!A1:K1',
+      values: [SUMMARY_HEADERS]
     }
   ]);
 }
 
+/**
+ * Apply structural changes (add sheets, formatting, ...) to a spreadsheet
+ */
+export async function spreadsheetBatchUpdate(spreadsheetId, requests) {
+  const url = `${SHEETS_API_BASE}/${spreadsheetId}:batchUpdate`;
+
+  return apiRequest(url, {
+    method: 'POST',
+    body: JSON.stringify({ requests })
+  });
+}
+
+/**
+ * Build an A1 range on a sheet, quoting titles with spaces or symbols
+ */
+export function sheetRange(title, range) {
+  return `'${title.replace(/'/g, "''")}'!${range}`;
+}
+
+/**
+ * Make sure a sheet exists, creating it with a bold header row when missing
+ * (spreadsheets created by older versions lack newer sheets)
+ * sheetIds (from getSheetIds) saves fetching the spreadsheet again; new sheets are added to it.
+ */
+export async function ensureSheet(spreadsheetId, title, headers, sheetIds = null) {
+  sheetIds = sheetIds || await getSheetIds(spreadsheetId);
+  if (sheetIds.has(title)) {
+    return false;
+  }
+
+  const response = await spreadsheetBatchUpdate(spreadsheetId, [
+    {
+      addSheet: {
+        properties: {
+          title,
+          gridProperties: {
+            frozenRowCount: 1
+          }
+        }
+      }
+    }
+  ]);
+  const sheetId = response.replies[0].addSheet.properties.sheetId;
+  sheetIds.set(title, sheetId);
+
+  await spreadsheetBatchUpdate(spreadsheetId, [
+    {
+      repeatCell: {
+        range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+        cell: { userEnteredFormat: { textFormat: { bold: true } } },
+        fields: 'userEnteredFormat.textFormat.bold'
+      }
+    }
+  ]);
+  if (headers.length > 0) {
+    await updateData(spreadsheetId, sheetRange(title, 'A1'), [headers]);
+  }
+  return true;
+}
+
+/**
+ * Make sure the Overview sheet exists
+ * It holds formulas over the Summary sheet: totals per person, and a pivot of
+ * attendance statuses per person. Being formulas, it stays current as sessions sync.
+ */
+export async function ensureOverviewSheet(spreadsheetId, sheetIds = null) {
+  const created = await ensureSheet(spreadsheetId, OVERVIEW_SHEET, [], sheetIds);
+  if (!created) {
+    return false;
+  }
+
+  const totalsQuery = 'select C, count(A), sum(G), avg(I) where C is not null group by C order by C ' +
+    "label count(A) 'Sessions', sum(G) 'Total Minutes', avg(I) 'Avg Attendance %'";
+  const statusQuery = 'select C, count(A) where C is not null group by C pivot J';
+
+  await batchUpdate(spreadsheetId, [
+    {
+      range: sheetRange(OVERVIEW_SHEET, 'A1'),
+      values: [[`=QUERY(Summary!A:K, "${totalsQuery}", 1)`]]
+    },
+    {
+      range: sheetRange(OVERVIEW_SHEET, 'G1'),
+      values: [[`=QUERY(Summary!A:K, "${statusQuery}", 1)`]]
+    }
+  ]);
+  return true;
+}
+
+/**
+ * Get the sheet a meeting session's join/leave rows are written to
+ */
+export function getEventSheetTitle(meeting, layout = SHEET_LAYOUTS.FLAT) {
+  switch (layout) {
+    case SHEET_LAYOUTS.PER_MEETING:
+      return meeting.meetingId;
+    case SHEET_LAYOUTS.PER_SESSION: {
+      // e.g. "abc-defg-hij 2024-03-05 09:00" in local time
+      const start = new Date(meeting.startTime);
+      const pad = n => String(n).padStart(2, '0');
+      const date = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+      return `${meeting.meetingId} ${date} ${pad(start.getHours())}:${pad(start.getMinutes())}`;
+    }
+    default:
+      return 'Participants';
+  }
+}
+
 /**
  * Get spreadsheet info
  */
@@ -199,10 +338,27 @@ export async function getData(spreadsheetId, range) {
 }
 
 /**
- * Sync a meeting to Google Sheets
+ * Get the header row of the event sheets
+ * Column A always holds the Session ID so synced rows can be found again.
+ */
+export function getEventHeaders(columns) {
+  return ['Session ID', ...getTemplateHeaders(columns)];
+}
+
+/**
+ * Build the event sheet row for one join/leave event
+ */
+export function buildEventRow(meeting, participantKey, participant, event, columns) {
+  return [meeting.sessionId, ...buildTemplateRow(meeting, participantKey, participant, event, columns)];
+}
+
+/**
+ * Build the Meetings, Participants and Summary rows for a meeting session
+ * (Participants columns follow the column template; Summary columns are fixed
+ * because the Overview formulas read them by position)
  */
-export async function syncMeeting(spreadsheetId, meeting) {
-  const meetingId = meeting.meetingId;
+export function buildMeetingRows(meeting, columns) {
+  const { sessionId, meetingId } = meeting;
   const startTime = meeting.startTime ? new Date(meeting.startTime).toLocaleString() : '';
   const endTime = meeting.endTime ? new Date(meeting.endTime).toLocaleString() : '';
 
@@ -216,83 +372,321 @@ export async function syncMeeting(spreadsheetId, meeting) {
   const participants = meeting.participants || {};
   const participantCount = Object.keys(participants).length;
 
-  // Append meeting row
-  const meetingRow = [
-    [meetingId, startTime, endTime, duration, participantCount, meeting.url || '']
+  const meetingRows = [
+    [
+      sessionId, meetingId, startTime, endTime, duration, participantCount, meeting.url || '',
+      meeting.title || '', (meeting.tags || []).join(', '), meeting.notes || ''
+    ]
   ];
 
-  await appendData(spreadsheetId, 'Meetings!A:F', meetingRow);
-
-  // Append participant event rows
-  if (participantCount > 0) {
-    const participantRows = [];
-    for (const p of Object.values(participants)) {
-      const events = p.events || [];
-      for (const event of events) {
-        const time = event.time ? new Date(event.time).toLocaleString() : '';
-        participantRows.push([
-          meetingId,
-          p.name,
-          p.email || '',
-          time,
-          event.type
-        ]);
+  // Participant event rows, plus one row per absent roster member
+  const rosterReport = meeting.rosterReport || null;
+  const participantRows = buildTemplateRows(meeting, columns).map(row => [sessionId, ...row]);
+
+  // One summary row per participant
+  const formatTime = time => time ? new Date(time).toLocaleString() : '';
+  const summaryRows = Object.entries(participants).map(([key, p]) => {
+    const summary = p.summary || summarizeParticipant(p, meeting);
+    return [
+      sessionId,
+      meetingId,
+      p.name,
+      p.email || '',
+      formatTime(summary.firstJoin),
+      formatTime(summary.lastLeave),
+      summary.totalMinutes,
+      summary.reconnects,
+      summary.percent,
+      p.status || '',
+      getRosterStatus(rosterReport, key)
+    ];
+  });
+
+  for (const entry of rosterReport?.absent || []) {
+    summaryRows.push([
+      sessionId,
+      meetingId,
+      entry.name,
+      entry.email || '',
+      '',
+      '',
+      0,
+      0,
+      0,
+      ATTENDANCE_STATUS.ABSENT,
+      ROSTER_STATUS.ABSENT
+    ]);
+  }
+
+  return {
+    Meetings: meetingRows,
+    Participants: participantRows,
+    Summary: summaryRows
+  };
+}
+
+/**
+ * Get sheet IDs keyed by sheet title
+ */
+export async function getSheetIds(spreadsheetId) {
+  const spreadsheet = await getSpreadsheet(spreadsheetId);
+  return new Map((spreadsheet.sheets || []).map(sheet => [
+    sheet.properties.title,
+    sheet.properties.sheetId
+  ]));
+}
+
+/**
+ * Get the header row of a sheet (without trailing empty cells)
+ */
+async function getHeaderRow(spreadsheetId, title) {
+  const data = await getData(spreadsheetId, sheetRange(title, '1:1'));
+  const headers = (data.values || [])[0] || [];
+  while (headers.length > 0 && headers[headers.length - 1] === '') {
+    headers.pop();
+  }
+  return headers;
+}
+
+/**
+ * Get the session IDs with rows in a sheet, except the given one
+ */
+async function getSessionIds(spreadsheetId, title, exceptSessionId) {
+  const data = await getData(spreadsheetId, sheetRange(title, 'A:A'));
+  const ids = (data.values || []).slice(1).map(row => row[0]).filter(Boolean);
+  return [...new Set(ids)].filter(id => id !== exceptSessionId);
+}
+
+/**
+ * Convert a 1-based column number to its letter (1 -> A, 27 -> AA)
+ */
+function columnLetter(column) {
+  let letter = '';
+  while (column > 0) {
+    const remainder = (column - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Replace the rows of a session in a sheet (matched on the Session ID in column A)
+ * Rows are updated in place when the row count is unchanged; otherwise the old
+ * rows are deleted and the new ones appended. Returns the number of rows replaced.
+ */
+async function replaceSessionRows(spreadsheetId, sheetIds, title, sessionId, rows) {
+  const data = await getData(spreadsheetId, sheetRange(title, 'A:A'));
+  const existing = (data.values || [])
+    .map((row, index) => (row[0] === sessionId ? index : -1))
+    .filter(index => index > 0); // row 0 is the header
+
+  const isContiguous = existing.every((index, i) => i === 0 || index === existing[i - 1] + 1);
+
+  if (existing.length > 0 && existing.length === rows.length && isContiguous) {
+    const first = existing[0] + 1;
+    const range = sheetRange(title, `A${first}:${columnLetter(rows[0].length)}${first + rows.length - 1}`);
+    await updateData(spreadsheetId, range, rows);
+    return existing.length;
+  }
+
+  if (existing.length > 0) {
+    // Delete bottom-up so earlier row indexes stay valid
+    const requests = existing.reverse().map(index => ({
+      deleteDimension: {
+        range: {
+          sheetId: sheetIds.get(title),
+          dimension: 'ROWS',
+          startIndex: index,
+          endIndex: index + 1
+        }
       }
+    }));
+    await spreadsheetBatchUpdate(spreadsheetId, requests);
+  }
+
+  if (rows.length > 0) {
+    await appendData(spreadsheetId, sheetRange(title, `A:${columnLetter(rows[0].length)}`), rows);
+  }
+
+  return existing.length;
+}
+
+// Writes run one at a time so two upserts (or an upsert and a live append)
+// of the same session can't interleave and duplicate rows
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a spreadsheet write after all previously queued writes
+ */
+function enqueueWrite(write) {
+  const run = writeQueue.then(write);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Sync a meeting session to Google Sheets
+ * Existing rows of the session are replaced, so syncing again never duplicates them.
+ * options: { layout: a SHEET_LAYOUTS value, columns: the event column template }
+ * When the column template changed since the event sheet was last written, the
+ * result's staleSessionIds lists the other sessions there: sync them again to
+ * rewrite their rows in the new columns.
+ */
+export function syncMeeting(spreadsheetId, meeting, options = {}) {
+  return enqueueWrite(() => upsertMeeting(spreadsheetId, meeting, options));
+}
+
+/**
+ * Append rows to a sheet, ordered with other sync writes
+ */
+export function appendSessionRows(spreadsheetId, title, rows) {
+  return enqueueWrite(() => appendData(spreadsheetId, sheetRange(title, `A:${columnLetter(rows[0].length)}`), rows));
+}
+
+/**
+ * Add a new sheet with a header and rows (a numbered suffix keeps the title unique)
+ * Returns the title of the new sheet.
+ */
+export function addSheetWithRows(spreadsheetId, title, headers, rows) {
+  return enqueueWrite(async () => {
+    const sheetIds = await getSheetIds(spreadsheetId);
+    let uniqueTitle = title;
+    for (let i = 2; sheetIds.has(uniqueTitle); i++) {
+      uniqueTitle = `${title} (${i})`;
     }
 
-    if (participantRows.length > 0) {
-      await appendData(spreadsheetId, 'Participants!A:E', participantRows);
+    await ensureSheet(spreadsheetId, uniqueTitle, headers, sheetIds);
+    if (rows.length > 0) {
+      await updateData(spreadsheetId, sheetRange(uniqueTitle, 'A2'), rows);
+    }
+    return uniqueTitle;
+  });
+}
+
+/**
+ * Write a meeting session's rows, replacing any previously synced rows
+ */
+async function upsertMeeting(spreadsheetId, meeting, { layout, columns } = {}) {
+  const { sessionId, meetingId } = meeting;
+  const rowsBySheet = buildMeetingRows(meeting, columns);
+  const eventHeaders = getEventHeaders(columns);
+
+  // Fetched once per sync; ensureSheet adds the sheets it creates
+  const sheetIds = await getSheetIds(spreadsheetId);
+
+  await ensureSheet(spreadsheetId, 'Summary', SUMMARY_HEADERS, sheetIds);
+
+  const eventSheet = getEventSheetTitle(meeting, layout);
+  if (eventSheet !== 'Participants') {
+    await ensureSheet(spreadsheetId, eventSheet, eventHeaders, sheetIds);
+    await ensureOverviewSheet(spreadsheetId, sheetIds);
+
+    rowsBySheet[eventSheet] = rowsBySheet.Participants;
+    delete rowsBySheet.Participants;
+  }
+
+  // Clear the session from the event sheets of the other layouts, so rows left by
+  // a sync before the layout changed don't linger (the emptied tabs are kept)
+  for (const layoutName of Object.values(SHEET_LAYOUTS)) {
+    const title = getEventSheetTitle(meeting, layoutName);
+    if (title !== eventSheet && sheetIds.has(title)) {
+      rowsBySheet[title] = [];
+    }
+  }
+
+  // A template with fewer columns than the sheet has leaves surplus columns:
+  // the header and the rewritten rows blank them out
+  const previousHeaders = await getHeaderRow(spreadsheetId, eventSheet);
+  const width = Math.max(previousHeaders.length, eventHeaders.length);
+  const pad = row => [...row, ...Array(width - row.length).fill('')];
+  rowsBySheet[eventSheet] = rowsBySheet[eventSheet].map(pad);
+
+  // Rows of other sessions synced under another template no longer match the headers
+  const templateChanged = previousHeaders.length > 0 &&
+    previousHeaders.join('\t') !== eventHeaders.join('\t');
+  const staleSessionIds = templateChanged
+    ? await getSessionIds(spreadsheetId, eventSheet, sessionId)
+    : [];
+
+  // Keep the headers in step with the current column template (and sheets created by older versions)
+  await batchUpdate(spreadsheetId, [
+    { range: 'Meetings!A1', values: [MEETINGS_HEADERS] },
+    { range: sheetRange(eventSheet, 'A1'), values: [pad(eventHeaders)] }
+  ]);
+
+  let updated = false;
+  for (const [title, rows] of Object.entries(rowsBySheet)) {
+    const replaced = await replaceSessionRows(spreadsheetId, sheetIds, title, sessionId, rows);
+    if (title === 'Meetings' && replaced > 0) {
+      updated = true;
     }
   }
 
-  return { success: true, meetingId, participantCount };
+  return {
+    success: true,
+    sessionId,
+    meetingId,
+    participantCount: Object.keys(meeting.participants || {}).length,
+    updated,
+    staleSessionIds
+  };
 }
 
 /**
  * Sync all meetings to Google Sheets
+ * onProgress(done, total, result) is called after each meeting
  */
-export async function syncAllMeetings(spreadsheetId, meetings) {
+export async function syncAllMeetings(spreadsheetId, meetings, onProgress = null, options = {}) {
   const results = [];
 
   for (const meeting of meetings) {
     try {
-      const result = await syncMeeting(spreadsheetId, meeting);
+      const result = await syncMeeting(spreadsheetId, meeting, options);
       results.push(result);
     } catch (error) {
       results.push({
         success: false,
+        sessionId: meeting.sessionId,
         meetingId: meeting.meetingId,
         error: error.message
       });
     }
+
+    if (onProgress) {
+      onProgress(results.length, meetings.length, results[results.length - 1]);
+    }
   }
 
   return results;
 }
 
 /**
- * Check if a meeting has already been synced
+ * Check if a meeting session has already been synced
  */
-export async function isMeetingSynced(spreadsheetId, meetingId) {
+export async function isMeetingSynced(spreadsheetId, sessionId) {
   try {
     const data = await getData(spreadsheetId, 'Meetings!A:A');
     const values = data.values || [];
-    return values.some(row => row[0] === meetingId);
+    return values.some(row => row[0] === sessionId);
   } catch {
     return false;
   }
 }
 
 /**
- * Get synced meeting IDs
+ * Get synced meeting session IDs
+ * None when the spreadsheet has no Meetings sheet yet; API errors are thrown,
+ * so a failed read is not taken for "nothing synced".
  */
 export async function getSyncedMeetingIds(spreadsheetId) {
-  try {
-    const data = await getData(spreadsheetId, 'Meetings!A:A');
-    const values = data.values || [];
-    // Skip header row
-    return values.slice(1).map(row => row[0]).filter(Boolean);
-  } catch {
+  const sheetIds = await getSheetIds(spreadsheetId);
+  if (!sheetIds.has('Meetings')) {
     return [];
   }
+
+  const data = await getData(spreadsheetId, 'Meetings!A:A');
+  const values = data.values || [];
+  // Skip header row
+  return values.slice(1).map(row => row[0]).filter(Boolean);
 }
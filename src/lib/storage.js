@@ -3,17 +3,39 @@
  * Handles local storage for meeting attendance data
  */
 
+import { matchRoster, getRosterStatus, parseRosterCSV, ROSTER_STATUS } from './roster.js';
+import { applyAttendanceRules, resolveRules, DEFAULT_RULES, ATTENDANCE_STATUS } from './attendance-rules.js';
+import { applyAttendanceSummary, summarizeParticipant } from './attendance-summary.js';
+import { resolveParticipants, validateAlias } from './aliases.js';
+import {
+  buildTemplateRows, getTemplateHeaders, validateColumnTemplate, DEFAULT_COLUMN_TEMPLATE
+} from './column-template.js';
+import { validateSelectorProfile } from './selector-profile.js';
+import { CURRENT_SCHEMA_VERSION, migrateMeetings } from './migrations.js';
+import { csvField, toCSV } from './csv.js';
+
 const STORAGE_KEYS = {
   MEETINGS: 'meetings',
   CURRENT_MEETING: 'currentMeeting',
-  SETTINGS: 'settings'
+  SETTINGS: 'settings',
+  ROSTERS: 'rosters',
+  ALIASES: 'aliases',
+  DIAGNOSTICS: 'diagnostics',
+  SCHEMA_VERSION: 'schemaVersion'
 };
 
 const DEFAULT_SETTINGS = {
   autoSync: false,
+  liveSync: false,
+  sheetLayout: 'flat', // 'flat', 'perMeeting' or 'perSession'
   syncInterval: 5, // minutes
   spreadsheetId: null,
-  maxStoredMeetings: 100
+  maxStoredMeetings: 100,
+  attendanceRules: DEFAULT_RULES,
+  meetingRules: {}, // per meeting code overrides of attendanceRules
+  columnTemplate: DEFAULT_COLUMN_TEMPLATE, // event columns of CSV exports and Sheets
+  detectionDebug: false, // log which selector found each participant
+  selectorProfile: null // user overrides of the content script selectors (null: built-in defaults)
 };
 
 /**
@@ -46,29 +68,122 @@ export async function remove(key) {
 }
 
 /**
- * Get all stored meetings
+ * Write several items at once, failing when Chrome reports an error (e.g. quota exceeded)
  */
-export async function getMeetings() {
+function setItems(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get the schema version of the stored meetings
+ * Meetings saved before versioning existed count as version 1.
+ */
+export async function getSchemaVersion() {
+  const version = await get(STORAGE_KEYS.SCHEMA_VERSION);
+  if (version) {
+    return version;
+  }
+  return (await get(STORAGE_KEYS.MEETINGS)) ? 1 : CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade stored meetings to the current schema version
+ * Nothing is written unless every migration step succeeds, and if writing the
+ * result fails the previous meetings and version are put back.
+ */
+export async function migrateStorage() {
+  const fromVersion = await getSchemaVersion();
+  if (fromVersion === CURRENT_SCHEMA_VERSION) {
+    await set(STORAGE_KEYS.SCHEMA_VERSION, CURRENT_SCHEMA_VERSION);
+    return { migrated: false, version: CURRENT_SCHEMA_VERSION };
+  }
+
   const meetings = await get(STORAGE_KEYS.MEETINGS);
-  return meetings || {};
+  const migrated = migrateMeetings(meetings, fromVersion);
+
+  try {
+    await setItems({
+      [STORAGE_KEYS.MEETINGS]: migrated,
+      [STORAGE_KEYS.SCHEMA_VERSION]: CURRENT_SCHEMA_VERSION
+    });
+  } catch (error) {
+    await setItems({
+      [STORAGE_KEYS.MEETINGS]: meetings,
+      [STORAGE_KEYS.SCHEMA_VERSION]: fromVersion
+    });
+    throw error;
+  }
+
+  return { migrated: true, from: fromVersion, version: CURRENT_SCHEMA_VERSION };
 }
 
 /**
- * Get a specific meeting by ID
+ * Build a session ID for one tracked run of a meeting code.
+ * The same Meet code is reused by recurring meetings, so the start time
+ * is appended to keep each session as its own record.
  */
-export async function getMeeting(meetingId) {
+export function createSessionId(meetingId, startTime) {
+  const timestamp = startTime ? new Date(startTime).getTime() : Date.now();
+  return `${meetingId}_${timestamp}`;
+}
+
+/**
+ * Get all stored meetings, keyed by session ID
+ */
+export async function getMeetings() {
+  const meetings = await get(STORAGE_KEYS.MEETINGS) || {};
+
+  // Records saved before sessions existed are keyed by the Meet code
+  for (const key in meetings) {
+    if (!meetings[key].sessionId) {
+      meetings[key].sessionId = key;
+    }
+  }
+
+  return meetings;
+}
+
+/**
+ * Get a specific meeting session by session ID
+ */
+export async function getMeeting(sessionId) {
   const meetings = await getMeetings();
-  return meetings[meetingId] || null;
+  return meetings[sessionId] || null;
 }
 
 /**
- * Save a meeting
+ * Get a meeting session with merges, aliases and the roster applied, participant
+ * statuses (from the current rules) and time-attended summaries
+ */
+export async function getMeetingReport(sessionId) {
+  const meeting = await getMeeting(sessionId);
+  if (!meeting) {
+    return null;
+  }
+
+  const settings = await getSettings();
+  const rules = resolveRules(settings, meeting.meetingId);
+  const resolved = resolveMeeting(meeting, await getAliases(), await getRosters());
+  return applyAttendanceSummary(applyAttendanceRules(resolved, rules));
+}
+
+/**
+ * Save a meeting session
+ * Participants are stored as detected; merges and aliases are applied when reading.
  */
 export async function saveMeeting(meetingData) {
   const meetings = await getMeetings();
   const settings = await getSettings();
 
-  meetings[meetingData.meetingId] = {
+  meetings[meetingData.sessionId] = {
     ...meetingData,
     updatedAt: new Date().toISOString()
   };
@@ -86,38 +201,155 @@ export async function saveMeeting(meetingData) {
   }
 
   await set(STORAGE_KEYS.MEETINGS, meetings);
-  return meetings[meetingData.meetingId];
+  return meetings[meetingData.sessionId];
 }
 
 /**
- * Update meeting participants
+ * Update meeting session participants
  */
-export async function updateMeetingParticipants(meetingId, participants) {
+export async function updateMeetingParticipants(sessionId, participants) {
   const meetings = await getMeetings();
 
-  if (meetings[meetingId]) {
-    meetings[meetingId].participants = participants;
-    meetings[meetingId].updatedAt = new Date().toISOString();
+  if (meetings[sessionId]) {
+    meetings[sessionId].participants = participants;
+    meetings[sessionId].updatedAt = new Date().toISOString();
     await set(STORAGE_KEYS.MEETINGS, meetings);
-    return meetings[meetingId];
+    return meetings[sessionId];
   }
 
   return null;
 }
 
 /**
- * Delete a meeting
+ * Record the end of a meeting session with its final participants
+ * Details saved during the meeting (title, tags, notes, merges, syncedAt) are kept.
+ */
+export async function endMeeting(sessionId, participants, endTime) {
+  const meetings = await getMeetings();
+
+  if (meetings[sessionId]) {
+    meetings[sessionId] = {
+      ...meetings[sessionId],
+      participants,
+      endTime,
+      updatedAt: new Date().toISOString()
+    };
+    await set(STORAGE_KEYS.MEETINGS, meetings);
+    return meetings[sessionId];
+  }
+
+  return null;
+}
+
+/**
+ * Record when a meeting session was last synced to Google Sheets
+ */
+export async function markMeetingSynced(sessionId) {
+  const meetings = await getMeetings();
+
+  if (meetings[sessionId]) {
+    meetings[sessionId].syncedAt = new Date().toISOString();
+    await set(STORAGE_KEYS.MEETINGS, meetings);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Normalize meeting tags (array or comma-separated text): trimmed, no duplicates
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+
+  return list
+    .map(tag => String(tag).trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Update the user-editable details of a meeting session
+ * details: { title, tags, notes }; fields left undefined are kept
+ */
+export async function updateMeetingDetails(sessionId, details) {
+  const meetings = await getMeetings();
+  const meeting = meetings[sessionId];
+  if (!meeting) {
+    return { error: 'Meeting not found' };
+  }
+
+  if (details.title !== undefined) {
+    meeting.title = String(details.title).trim();
+  }
+  if (details.tags !== undefined) {
+    meeting.tags = normalizeTags(details.tags);
+  }
+  if (details.notes !== undefined) {
+    meeting.notes = String(details.notes).trim();
+  }
+  meeting.updatedAt = new Date().toISOString();
+
+  await set(STORAGE_KEYS.MEETINGS, meetings);
+  return meeting;
+}
+
+/**
+ * Store the meeting title captured from the Meet UI
+ * A title the user already set (or an earlier capture) is kept.
  */
-export async function deleteMeeting(meetingId) {
+export async function setCapturedMeetingTitle(sessionId, title) {
   const meetings = await getMeetings();
-  if (meetings[meetingId]) {
-    delete meetings[meetingId];
+  const meeting = meetings[sessionId];
+
+  if (meeting && title && !meeting.title) {
+    meeting.title = title.trim();
     await set(STORAGE_KEYS.MEETINGS, meetings);
     return true;
   }
+
   return false;
 }
 
+/**
+ * Delete a meeting session
+ */
+export async function deleteMeeting(sessionId) {
+  const meetings = await getMeetings();
+  if (meetings[sessionId]) {
+    delete meetings[sessionId];
+    await set(STORAGE_KEYS.MEETINGS, meetings);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Delete several meeting sessions at once
+ * Returns the number of sessions deleted
+ */
+export async function deleteMeetings(sessionIds) {
+  const meetings = await getMeetings();
+  let deleted = 0;
+
+  for (const sessionId of sessionIds || []) {
+    if (meetings[sessionId]) {
+      delete meetings[sessionId];
+      deleted++;
+    }
+  }
+
+  if (deleted > 0) {
+    await set(STORAGE_KEYS.MEETINGS, meetings);
+  }
+  return deleted;
+}
+
 /**
  * Clear all meetings
  */
@@ -146,6 +378,20 @@ export async function clearCurrentMeeting() {
   await remove(STORAGE_KEYS.CURRENT_MEETING);
 }
 
+/**
+ * Get the last participant detection diagnostics reported by a content script
+ */
+export async function getDiagnostics() {
+  return (await get(STORAGE_KEYS.DIAGNOSTICS)) || null;
+}
+
+/**
+ * Save participant detection diagnostics (only the latest report is kept)
+ */
+export async function saveDiagnostics(report) {
+  await set(STORAGE_KEYS.DIAGNOSTICS, report);
+}
+
 /**
  * Get settings
  */
@@ -164,12 +410,201 @@ export async function updateSettings(newSettings) {
   return updatedSettings;
 }
 
+/**
+ * Save the column template used for CSV exports and Sheets sync
+ */
+export async function saveColumnTemplate(template) {
+  const error = validateColumnTemplate(template);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const columnTemplate = template.map(column => ({
+    field: column.field,
+    label: column.label.trim()
+  }));
+
+  await updateSettings({ columnTemplate });
+  return columnTemplate;
+}
+
+/**
+ * Save the selector profile used by the content script (null restores the built-in defaults)
+ */
+export async function saveSelectorProfile(profile) {
+  if (profile === null) {
+    await updateSettings({ selectorProfile: null });
+    return null;
+  }
+
+  const error = validateSelectorProfile(profile);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const selectorProfile = {};
+  for (const [field, selectors] of Object.entries(profile)) {
+    selectorProfile[field] = selectors.map(selector => selector.trim());
+  }
+
+  await updateSettings({ selectorProfile });
+  return selectorProfile;
+}
+
+/**
+ * Get all rosters, keyed by Meet code
+ */
+export async function getRosters() {
+  const rosters = await get(STORAGE_KEYS.ROSTERS);
+  return rosters || {};
+}
+
+/**
+ * Get the roster attached to a Meet code
+ */
+export async function getRoster(meetingId) {
+  const rosters = await getRosters();
+  return rosters[meetingId] || null;
+}
+
+/**
+ * Attach a roster (CSV text of names and optional emails) to a Meet code
+ */
+export async function saveRoster(meetingId, csvText) {
+  const entries = parseRosterCSV(csvText);
+  if (entries.length === 0) {
+    throw new Error('Roster is empty');
+  }
+
+  const rosters = await getRosters();
+  rosters[meetingId] = {
+    meetingId,
+    entries,
+    updatedAt: new Date().toISOString()
+  };
+  await set(STORAGE_KEYS.ROSTERS, rosters);
+  return rosters[meetingId];
+}
+
+/**
+ * Remove the roster attached to a Meet code
+ */
+export async function deleteRoster(meetingId) {
+  const rosters = await getRosters();
+  if (!rosters[meetingId]) {
+    return false;
+  }
+
+  delete rosters[meetingId];
+  await set(STORAGE_KEYS.ROSTERS, rosters);
+  return true;
+}
+
+/**
+ * Get the participant alias table
+ */
+export async function getAliases() {
+  const aliases = await get(STORAGE_KEYS.ALIASES);
+  return aliases || [];
+}
+
+/**
+ * Replace the participant alias table (applied to all stored meetings when they are read)
+ */
+export async function saveAliases(aliases) {
+  for (const alias of aliases) {
+    const error = validateAlias(alias);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  const cleaned = aliases.map(alias => ({
+    pattern: alias.pattern,
+    isRegex: !!alias.isRegex,
+    canonical: alias.canonical.trim(),
+    email: alias.email ? alias.email.trim() : null
+  }));
+
+  await set(STORAGE_KEYS.ALIASES, cleaned);
+  return cleaned;
+}
+
+/**
+ * Merge participants of a stored meeting session into one person
+ * participantKeys are keys of the meeting report. The merge is recorded on the
+ * meeting and applied on every read, so it also holds for participants of a
+ * meeting still in progress, whose detected participants keep being replaced.
+ */
+export async function mergeMeetingParticipants(sessionId, participantKeys, name) {
+  const meetings = await getMeetings();
+  const meeting = meetings[sessionId];
+  if (!meeting) {
+    throw new Error('Meeting not found');
+  }
+
+  const resolved = resolveParticipants(meeting.participants, meeting.merges, await getAliases());
+  const records = participantKeys.map(key => resolved[key]).filter(Boolean);
+  if (records.length < 2) {
+    throw new Error('Select at least two participants to merge');
+  }
+
+  meeting.merges = [
+    ...(meeting.merges || []),
+    { keys: records.flatMap(record => record.keys), name: name || null }
+  ];
+  meeting.updatedAt = new Date().toISOString();
+  await set(STORAGE_KEYS.MEETINGS, meetings);
+  return getMeetingReport(sessionId);
+}
+
+/**
+ * Build the matched/absent/unexpected report for a roster, or null without one
+ */
+function buildRosterReport(roster, participants) {
+  if (!roster) {
+    return null;
+  }
+  return matchRoster(roster.entries, participants);
+}
+
+/**
+ * Resolve a stored meeting for reading: its merges and the alias table applied to
+ * the participants, and the report of the roster attached to its Meet code
+ */
+function resolveMeeting(meeting, aliases, rosters) {
+  const participants = resolveParticipants(meeting.participants, meeting.merges, aliases);
+
+  return {
+    ...meeting,
+    participants,
+    rosterReport: buildRosterReport(rosters[meeting.meetingId], participants)
+  };
+}
+
+/**
+ * Get all stored meeting sessions, resolved for reading (see resolveMeeting)
+ */
+async function getResolvedMeetings() {
+  const meetings = await getMeetings();
+  const aliases = await getAliases();
+  const rosters = await getRosters();
+
+  return Object.values(meetings).map(meeting => resolveMeeting(meeting, aliases, rosters));
+}
+
+/**
+ * Get the participants of a meeting as reports show them (merges and aliases applied)
+ */
+export async function getResolvedParticipants(meeting) {
+  return resolveParticipants(meeting.participants, meeting.merges, await getAliases());
+}
+
 /**
  * Get meeting history sorted by date (newest first)
  */
 export async function getMeetingHistory(limit = 50) {
-  const meetings = await getMeetings();
-  const meetingList = Object.values(meetings);
+  const meetingList = await getResolvedMeetings();
 
   return meetingList
     .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
@@ -177,51 +612,207 @@ export async function getMeetingHistory(limit = 50) {
 }
 
 /**
- * Export meeting to CSV format
+ * Check whether a meeting's code, title, tags, notes or participant names contain a search text
+ */
+function meetingMatchesText(meeting, text) {
+  const needle = text.trim().toLowerCase();
+  if (!needle) return true;
+
+  const names = Object.values(meeting.participants || {})
+    .flatMap(p => [p.name, ...(p.names || [])]);
+
+  return [meeting.meetingId, meeting.title, meeting.notes, ...(meeting.tags || []), ...names]
+    .some(value => value && value.toLowerCase().includes(needle));
+}
+
+/**
+ * Find meeting sessions by Meet code, tag, start date range, search text and participant count (newest first)
+ * filter: { meetingId, tag, from, to, text, minParticipants, maxParticipants } with dates as
+ * YYYY-MM-DD (inclusive, local time); all optional
+ */
+export async function findMeetings(filter = {}) {
+  const meetings = await getResolvedMeetings();
+  const from = filter.from ? new Date(`${filter.from}T00:00:00`).getTime() : -Infinity;
+  const to = filter.to ? new Date(`${filter.to}T23:59:59.999`).getTime() : Infinity;
+  const minParticipants = Number.isFinite(filter.minParticipants) ? filter.minParticipants : 0;
+  const maxParticipants = Number.isFinite(filter.maxParticipants) ? filter.maxParticipants : Infinity;
+  const tag = filter.tag ? filter.tag.trim().toLowerCase() : '';
+
+  return meetings
+    .filter(meeting => {
+      const start = new Date(meeting.startTime).getTime();
+      const participantCount = Object.keys(meeting.participants || {}).length;
+      return (!filter.meetingId || meeting.meetingId === filter.meetingId) &&
+        (!tag || (meeting.tags || []).some(t => t.toLowerCase() === tag)) &&
+        start >= from && start <= to &&
+        participantCount >= minParticipants && participantCount <= maxParticipants &&
+        (!filter.text || meetingMatchesText(meeting, filter.text));
+    })
+    .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+}
+
+/**
+ * Get one page of the meeting sessions matching a filter (see findMeetings)
+ * Items are summaries without participant events; sessionIds lists every match
+ * so a page can select across pages.
+ */
+export async function getMeetingPage(filter = {}, page = 1, pageSize = 25) {
+  const meetings = await findMeetings(filter);
+  const pageCount = Math.max(1, Math.ceil(meetings.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+
+  const items = meetings
+    .slice((current - 1) * pageSize, current * pageSize)
+    .map(meeting => ({
+      sessionId: meeting.sessionId,
+      meetingId: meeting.meetingId,
+      title: meeting.title || '',
+      tags: meeting.tags || [],
+      startTime: meeting.startTime,
+      endTime: meeting.endTime,
+      participantCount: Object.keys(meeting.participants || {}).length,
+      syncedAt: meeting.syncedAt || null
+    }));
+
+  return {
+    items,
+    total: meetings.length,
+    page: current,
+    pageCount,
+    sessionIds: meetings.map(meeting => meeting.sessionId)
+  };
+}
+
+/**
+ * Group meeting sessions by Meet code (newest group first)
  */
-export function meetingToCSV(meeting) {
-  const headers = ['Name', 'Email', 'Time', 'Type'];
+export function groupMeetingsByCode(meetings) {
+  const groups = new Map();
+
+  for (const meeting of meetings) {
+    if (!groups.has(meeting.meetingId)) {
+      groups.set(meeting.meetingId, {
+        meetingId: meeting.meetingId,
+        sessions: []
+      });
+    }
+    groups.get(meeting.meetingId).sessions.push(meeting);
+  }
+
+  return Array.from(groups.values())
+    .map(group => {
+      group.sessions.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+      group.latestStartTime = group.sessions[0].startTime;
+      return group;
+    })
+    .sort((a, b) => new Date(b.latestStartTime) - new Date(a.latestStartTime));
+}
+
+/**
+ * Get meeting history grouped by Meet code
+ */
+export async function getMeetingGroups(limit = 50) {
+  const history = await getMeetingHistory(limit);
+  return groupMeetingsByCode(history);
+}
+
+/**
+ * Export meeting to CSV format (one row per join/leave event, columns from the template)
+ */
+export function meetingToCSV(meeting, template = DEFAULT_COLUMN_TEMPLATE) {
+  return meetingsToCSV([meeting], template);
+}
+
+/**
+ * Export several meetings to one event CSV (a single header row)
+ */
+export function meetingsToCSV(meetings, template = DEFAULT_COLUMN_TEMPLATE) {
+  return toCSV([
+    getTemplateHeaders(template),
+    ...meetings.flatMap(meeting => buildTemplateRows(meeting, template))
+  ]);
+}
+
+/**
+ * Export meeting to summary CSV format (one row per participant)
+ * Columns are fixed, like the Sheets Summary sheet; the column template covers event rows.
+ */
+export function meetingSummaryToCSV(meeting) {
+  const headers = [
+    'Name', 'Email', 'First Join', 'Last Leave', 'Minutes',
+    'Reconnects', 'Attendance %', 'Status', 'Roster'
+  ];
   const rows = [headers.join(',')];
 
   const participants = meeting.participants || {};
+  const rosterReport = meeting.rosterReport || null;
+  const formatTime = time => time ? new Date(time).toLocaleString() : '';
 
-  for (const name in participants) {
-    const p = participants[name];
-    const events = p.events || [];
-
-    for (const event of events) {
-      const time = event.time ? new Date(event.time).toLocaleString() : '';
-      const row = [
-        `"${p.name.replace(/"/g, '""')}"`,
-        `"${(p.email || '').replace(/"/g, '""')}"`,
-        `"${time}"`,
-        event.type
-      ];
-      rows.push(row.join(','));
-    }
+  for (const [key, p] of Object.entries(participants)) {
+    const summary = p.summary || summarizeParticipant(p, meeting);
+    const row = [
+      csvField(p.name),
+      csvField(p.email),
+      csvField(formatTime(summary.firstJoin)),
+      csvField(formatTime(summary.lastLeave)),
+      summary.totalMinutes,
+      summary.reconnects,
+      summary.percent,
+      p.status || '',
+      getRosterStatus(rosterReport, key)
+    ];
+    rows.push(row.join(','));
+  }
+
+  for (const entry of rosterReport?.absent || []) {
+    const row = [
+      csvField(entry.name),
+      csvField(entry.email),
+      '""',
+      '""',
+      0,
+      0,
+      0,
+      ATTENDANCE_STATUS.ABSENT,
+      ROSTER_STATUS.ABSENT
+    ];
+    rows.push(row.join(','));
   }
 
   return rows.join('\n');
 }
 
 /**
- * Export all meetings to JSON
+ * Export all meetings to JSON, tagged with the schema version
  */
 export async function exportAllMeetings() {
   const meetings = await getMeetings();
-  return JSON.stringify(meetings, null, 2);
+  return JSON.stringify({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    meetings
+  }, null, 2);
 }
 
 /**
  * Import meetings from JSON
+ * Accepts versioned exports and the plain meetings object written by older
+ * versions; records are upgraded to the current schema before they are stored.
  */
 export async function importMeetings(jsonString) {
   try {
-    const imported = JSON.parse(jsonString);
+    const parsed = JSON.parse(jsonString);
+    const isVersioned = Number.isInteger(parsed.schemaVersion) && typeof parsed.meetings === 'object';
+    const imported = isVersioned ? parsed.meetings : parsed;
     const currentMeetings = await getMeetings();
-    const merged = { ...currentMeetings, ...imported };
+
+    // Records are keyed like stored ones: records from before sessions existed keep
+    // their key (the meeting code) as session ID, so importing an old backup over
+    // migrated data replaces those records instead of adding copies
+    const upgraded = migrateMeetings(imported, isVersioned ? parsed.schemaVersion : 1);
+    const merged = { ...currentMeetings, ...upgraded };
     await set(STORAGE_KEYS.MEETINGS, merged);
-    return { success: true, count: Object.keys(imported).length };
+    return { success: true, count: Object.keys(upgraded).length };
   } catch (e) {
     return { success: false, error: e.message };
   }
@@ -0,0 +1,161 @@
+/**
+ * Sheets Sync Queue
+ * Persists pending syncs in Chrome storage and retries failed ones with backoff
+ */
+
+import { get, set } from './storage.js';
+
+const QUEUE_KEY = 'syncQueue';
+const MAX_ATTEMPTS = 8;
+const MAX_BACKOFF_MINUTES = 24 * 60;
+
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+/**
+ * Get queued syncs, keyed by session ID
+ */
+export async function getQueue() {
+  const queue = await get(QUEUE_KEY);
+  return queue || {};
+}
+
+/**
+ * Add a meeting session to the queue (due immediately)
+ * enqueuedAt changes on every call, so a sync that was already running when the
+ * session was queued again doesn't remove the new entry.
+ */
+export async function enqueue(sessionId) {
+  const queue = await getQueue();
+  const now = new Date().toISOString();
+
+  queue[sessionId] = {
+    sessionId,
+    status: QUEUE_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    queuedAt: queue[sessionId]?.queuedAt || now,
+    enqueuedAt: now
+  };
+
+  await set(QUEUE_KEY, queue);
+  return queue[sessionId];
+}
+
+/**
+ * Remove a meeting session from the queue
+ * With enqueuedAt, the entry is only removed if it wasn't queued again since.
+ */
+export async function dequeue(sessionId, enqueuedAt) {
+  const queue = await getQueue();
+  const entry = queue[sessionId];
+  if (entry && (enqueuedAt === undefined || entry.enqueuedAt === enqueuedAt)) {
+    delete queue[sessionId];
+    await set(QUEUE_KEY, queue);
+  }
+}
+
+/**
+ * Delay before the next attempt: the sync interval doubled on every failure
+ */
+function getBackoffMinutes(attempts, intervalMinutes) {
+  return Math.min(intervalMinutes * 2 ** (attempts - 1), MAX_BACKOFF_MINUTES);
+}
+
+let isProcessing = false;
+let rerunRequested = false;
+
+/**
+ * Try every pending sync that is due
+ * syncFn(sessionId) performs the sync and throws on failure. A call made while
+ * the queue is being processed makes the running call go over the queue again
+ * once it is done, so syncs queued meanwhile don't wait for the next alarm.
+ */
+export async function processQueue(syncFn, intervalMinutes) {
+  if (isProcessing) {
+    rerunRequested = true;
+    return { deferred: true };
+  }
+
+  isProcessing = true;
+  const results = { synced: 0, failed: 0 };
+
+  try {
+    do {
+      rerunRequested = false;
+      await processDueEntries(syncFn, intervalMinutes, results);
+    } while (rerunRequested);
+  } finally {
+    isProcessing = false;
+  }
+
+  return results;
+}
+
+/**
+ * Sync the entries that are due once, counting successes and failures in results
+ */
+async function processDueEntries(syncFn, intervalMinutes, results) {
+  const now = Date.now();
+  const due = Object.values(await getQueue()).filter(entry =>
+    entry.status === QUEUE_STATUS.PENDING && new Date(entry.nextAttemptAt).getTime() <= now
+  );
+
+  for (const entry of due) {
+    try {
+      await syncFn(entry.sessionId);
+      await dequeue(entry.sessionId, entry.enqueuedAt);
+      results.synced++;
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      const backoff = getBackoffMinutes(attempts, intervalMinutes);
+
+      // Re-read so entries queued while syncing are kept; a session queued again
+      // meanwhile is due right away and keeps its fresh entry
+      const queue = await getQueue();
+      if (queue[entry.sessionId]?.enqueuedAt === entry.enqueuedAt) {
+        queue[entry.sessionId] = {
+          ...entry,
+          attempts,
+          lastError: error.message,
+          status: attempts >= MAX_ATTEMPTS ? QUEUE_STATUS.FAILED : QUEUE_STATUS.PENDING,
+          nextAttemptAt: new Date(Date.now() + backoff * 60000).toISOString()
+        };
+        await set(QUEUE_KEY, queue);
+      }
+      results.failed++;
+    }
+  }
+}
+
+/**
+ * Make failed and backed-off syncs due again
+ */
+export async function retryAll() {
+  const queue = await getQueue();
+  const now = new Date().toISOString();
+
+  for (const entry of Object.values(queue)) {
+    entry.status = QUEUE_STATUS.PENDING;
+    entry.attempts = 0;
+    entry.nextAttemptAt = now;
+  }
+
+  await set(QUEUE_KEY, queue);
+}
+
+/**
+ * Get pending/failed counts and the queued entries
+ */
+export async function getQueueStats() {
+  const entries = Object.values(await getQueue());
+
+  return {
+    pending: entries.filter(e => e.status === QUEUE_STATUS.PENDING).length,
+    failed: entries.filter(e => e.status === QUEUE_STATUS.FAILED).length,
+    entries
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Google Meet Attendance Tracker - Person History
+ * Opened from a participant in the meeting details with ?name=<name>&email=<email>
+ */
+
+import { buildPersonHistory, personHistoryToCSV } from '../lib/person-history.js';
+import { downloadBlob, escapeHtml, statusTagClass } from '../lib/html.js';
+
+const elements = {
+  personName: document.getElementById('personName'),
+  personEmail: document.getElementById('personEmail'),
+  exportCsvBtn: document.getElementById('exportCsvBtn'),
+  fromFilter: document.getElementById('fromFilter'),
+  toFilter: document.getElementById('toFilter'),
+  thisMonthBtn: document.getElementById('thisMonthBtn'),
+  resetFiltersBtn: document.getElementById('resetFiltersBtn'),
+  errorMessage: document.getElementById('errorMessage'),
+  historyContent: document.getElementById('historyContent'),
+  statAttended: document.getElementById('statAttended'),
+  statRate: document.getElementById('statRate'),
+  statMinutes: document.getElementById('statMinutes'),
+  statAvgMinutes: document.getElementById('statAvgMinutes'),
+  statusCounts: document.getElementById('statusCounts'),
+  historyRows: document.getElementById('historyRows'),
+  emptyMessage: document.getElementById('emptyMessage')
+};
+
+const params = new URLSearchParams(location.search);
+const person = { name: params.get('name') || '', email: params.get('email') || '' };
+
+let currentHistory = null;
+
+/**
+ * Initialize person history page
+ */
+async function init() {
+  if (!person.name && !person.email) {
+    showError('No participant selected');
+    return;
+  }
+
+  document.title = `Attendance History - ${person.name || person.email}`;
+  elements.personName.textContent = person.name || person.email;
+  elements.personEmail.textContent = person.name ? person.email : '';
+
+  elements.fromFilter.addEventListener('change', loadHistory);
+  elements.toFilter.addEventListener('change', loadHistory);
+  elements.thisMonthBtn.addEventListener('click', handleThisMonth);
+  elements.resetFiltersBtn.addEventListener('click', handleResetFilters);
+  elements.exportCsvBtn.addEventListener('click', handleExportCSV);
+
+  await loadHistory();
+}
+
+/**
+ * Show an error instead of the history
+ */
+function showError(message) {
+  elements.errorMessage.textContent = message;
+  elements.errorMessage.classList.remove('hidden');
+  elements.historyContent.classList.add('hidden');
+  elements.exportCsvBtn.disabled = true;
+}
+
+/**
+ * Load meetings in the selected period and render the person's history
+ */
+async function loadHistory() {
+  try {
+    const meetings = await chrome.runtime.sendMessage({
+      type: 'GET_MEETING_REPORTS',
+      filter: { from: elements.fromFilter.value, to: elements.toFilter.value }
+    });
+
+    if (meetings.error) {
+      showError(meetings.error);
+      return;
+    }
+
+    currentHistory = buildPersonHistory(meetings, person.name, person.email);
+    renderHistory(currentHistory);
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    showError('Failed to load history');
+  }
+}
+
+/**
+ * Limit the history to the current calendar month
+ */
+async function handleThisMonth() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  elements.fromFilter.value = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-01`;
+  elements.toFilter.value = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(lastDay)}`;
+  await loadHistory();
+}
+
+/**
+ * Clear the date filters
+ */
+async function handleResetFilters() {
+  elements.fromFilter.value = '';
+  elements.toFilter.value = '';
+  await loadHistory();
+}
+
+/**
+ * Render totals and one row per session
+ */
+function renderHistory(history) {
+  const { totals, entries } = history;
+
+  elements.statAttended.textContent = `${totals.attended} / ${totals.eligible}`;
+  elements.statRate.textContent = `${totals.rate}%`;
+  elements.statMinutes.textContent = totals.minutes;
+  elements.statAvgMinutes.textContent = totals.avgMinutes;
+  elements.statusCounts.textContent = Object.entries(totals.byStatus)
+    .map(([status, count]) => `${status}: ${count}`)
+    .join(' · ');
+
+  elements.historyRows.innerHTML = entries.map(entry => {
+    const events = entry.events.map(e => `${escapeHtml(e.type)} ${formatTime(e.time)}`).join('<br>');
+    return `
+      <tr>
+        <td>${escapeHtml(entry.meetingId)}</td>
+        <td>${new Date(entry.startTime).toLocaleString()}</td>
+        <td><span class="status-tag ${statusTagClass(entry.status)}">${escapeHtml(entry.status)}</span></td>
+        <td class="events">${events || '-'}</td>
+        <td class="num">${entry.minutes}</td>
+        <td class="num">${entry.percent}%</td>
+      </tr>
+    `;
+  }).join('');
+
+  elements.emptyMessage.classList.toggle('hidden', entries.length > 0);
+  elements.historyContent.classList.remove('hidden');
+  elements.exportCsvBtn.disabled = entries.length === 0;
+}
+
+/**
+ * Download the displayed history as CSV
+ */
+function handleExportCSV() {
+  if (!currentHistory) return;
+
+  const label = (person.name || person.email).replace(/[^\p{L}\p{N}_-]+/gu, '_');
+  const date = new Date().toISOString().split('T')[0];
+  const blob = new Blob([personHistoryToCSV(currentHistory)], { type: 'text/csv;charset=utf-8;' });
+  downloadBlob(blob, `attendance_person_${label}_${date}.csv`);
+}
+
+/**
+ * Format an event time (ISO string) as a local time
+ */
+function formatTime(time) {
+  return time ? new Date(time).toLocaleTimeString() : '-';
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', init);
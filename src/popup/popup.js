@@ -2,6 +2,9 @@
  * Google Meet Attendance Tracker - Popup UI
  */
 
+import { fromBase64, XLSX_MIME_TYPE } from '../lib/xlsx.js';
+import { downloadBlob, escapeHtml, statusTagClass } from '../lib/html.js';
+
 // DOM Elements
 const elements = {
   // Current meeting
@@ -9,6 +12,8 @@ const elements = {
   statusBadge: document.getElementById('statusBadge'),
   meetingInfo: document.getElementById('meetingInfo'),
   noMeeting: document.getElementById('noMeeting'),
+  detectionWarning: document.getElementById('detectionWarning'),
+  liveSyncWarning: document.getElementById('liveSyncWarning'),
   meetingId: document.getElementById('meetingId'),
   startTime: document.getElementById('startTime'),
   participantCount: document.getElementById('participantCount'),
@@ -21,12 +26,15 @@ const elements = {
   // Actions
   actionsSection: document.getElementById('actionsSection'),
   exportCsvBtn: document.getElementById('exportCsvBtn'),
+  exportXlsxBtn: document.getElementById('exportXlsxBtn'),
   syncSheetsBtn: document.getElementById('syncSheetsBtn'),
 
   // History
   historySection: document.getElementById('historySection'),
   historyList: document.getElementById('historyList'),
   noHistory: document.getElementById('noHistory'),
+  allHistoryBtn: document.getElementById('allHistoryBtn'),
+  groupHistoryBtn: document.getElementById('groupHistoryBtn'),
   clearHistoryBtn: document.getElementById('clearHistoryBtn'),
 
   // Settings
@@ -38,12 +46,18 @@ const elements = {
   modalBody: document.getElementById('modalBody'),
   closeModalBtn: document.getElementById('closeModalBtn'),
   modalExportBtn: document.getElementById('modalExportBtn'),
+  modalSummaryBtn: document.getElementById('modalSummaryBtn'),
+  modalXlsxBtn: document.getElementById('modalXlsxBtn'),
+  modalReportBtn: document.getElementById('modalReportBtn'),
+  modalSyncBtn: document.getElementById('modalSyncBtn'),
   modalDeleteBtn: document.getElementById('modalDeleteBtn')
 };
 
 // State
 let currentMeeting = null;
-let selectedMeetingId = null;
+let selectedSessionId = null;
+let selectedMeeting = null;
+let groupHistoryByCode = false;
 
 /**
  * Initialize popup
@@ -63,12 +77,19 @@ async function init() {
 function setupEventListeners() {
   elements.refreshBtn.addEventListener('click', handleRefresh);
   elements.exportCsvBtn.addEventListener('click', () => exportCurrentMeetingCSV());
-  elements.syncSheetsBtn.addEventListener('click', handleSyncSheets);
+  elements.exportXlsxBtn.addEventListener('click', () => currentMeeting && exportMeetingXLSX(currentMeeting.sessionId));
+  elements.syncSheetsBtn.addEventListener('click', () => handleSyncSheets(currentMeeting?.sessionId, elements.syncSheetsBtn));
+  elements.allHistoryBtn.addEventListener('click', openHistoryPage);
+  elements.groupHistoryBtn.addEventListener('click', handleToggleGroupHistory);
   elements.clearHistoryBtn.addEventListener('click', handleClearHistory);
   elements.settingsBtn.addEventListener('click', openSettings);
   elements.closeModalBtn.addEventListener('click', closeModal);
-  elements.modalExportBtn.addEventListener('click', () => exportMeetingCSV(selectedMeetingId));
-  elements.modalDeleteBtn.addEventListener('click', () => deleteMeeting(selectedMeetingId));
+  elements.modalExportBtn.addEventListener('click', () => exportMeetingCSV(selectedSessionId));
+  elements.modalSummaryBtn.addEventListener('click', () => exportMeetingCSV(selectedSessionId, 'summary'));
+  elements.modalXlsxBtn.addEventListener('click', () => exportMeetingXLSX(selectedSessionId));
+  elements.modalReportBtn.addEventListener('click', () => openReport(selectedSessionId));
+  elements.modalSyncBtn.addEventListener('click', () => handleSyncSheets(selectedSessionId, elements.modalSyncBtn));
+  elements.modalDeleteBtn.addEventListener('click', () => deleteMeeting(selectedSessionId));
 }
 
 /**
@@ -88,12 +109,28 @@ async function loadCurrentMeeting() {
     const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_STATUS' });
 
     if (response && response.isTracking) {
+      // Show the stored session with merges and aliases applied; the content
+      // script reports participants as detected
+      const report = response.sessionId
+        ? await chrome.runtime.sendMessage({ type: 'GET_MEETING', sessionId: response.sessionId })
+        : null;
+      const participants = report?.participants || response.participants;
+      const liveSync = response.sessionId
+        ? await chrome.runtime.sendMessage({ type: 'GET_LIVE_SYNC_STATUS', sessionId: response.sessionId })
+        : null;
+
       currentMeeting = {
         meetingId: response.meetingId,
-        participants: response.participants,
-        participantCount: response.participantCount
+        sessionId: response.sessionId,
+        participants,
+        participantCount: Object.keys(participants || {}).length
       };
-      showCurrentMeeting(response);
+      showCurrentMeeting({
+        ...response,
+        participants,
+        participantCount: currentMeeting.participantCount,
+        liveSyncError: liveSync?.error || null
+      });
     } else {
       showNoMeeting();
     }
@@ -114,6 +151,11 @@ function showCurrentMeeting(data) {
   elements.participantsSection.classList.remove('hidden');
   elements.actionsSection.classList.remove('hidden');
 
+  elements.detectionWarning.classList.toggle('hidden', !data.detectionWarning);
+  elements.liveSyncWarning.classList.toggle('hidden', !data.liveSyncError);
+  elements.liveSyncWarning.textContent = data.liveSyncError
+    ? `Live sync to Google Sheets failed (${data.liveSyncError}). The meeting is queued and will be synced again.`
+    : '';
   elements.meetingId.textContent = data.meetingId || '-';
   elements.participantCount.textContent = data.participantCount || 0;
 
@@ -130,6 +172,8 @@ function showNoMeeting() {
   elements.statusBadge.className = 'badge badge-inactive';
   elements.meetingInfo.classList.add('hidden');
   elements.noMeeting.classList.remove('hidden');
+  elements.detectionWarning.classList.add('hidden');
+  elements.liveSyncWarning.classList.add('hidden');
   elements.participantsSection.classList.add('hidden');
   elements.actionsSection.classList.add('hidden');
 }
@@ -175,12 +219,16 @@ function renderParticipants(participants) {
 async function loadMeetingHistory() {
   try {
     const response = await chrome.runtime.sendMessage({
-      type: 'GET_MEETING_HISTORY',
+      type: groupHistoryByCode ? 'GET_MEETING_GROUPS' : 'GET_MEETING_HISTORY',
       limit: 20
     });
 
     if (response && response.length > 0) {
-      renderHistory(response);
+      if (groupHistoryByCode) {
+        renderHistoryGroups(response);
+      } else {
+        renderHistory(response);
+      }
       elements.noHistory.classList.add('hidden');
       elements.historyList.classList.remove('hidden');
     } else {
@@ -192,45 +240,80 @@ async function loadMeetingHistory() {
   }
 }
 
+/**
+ * Render a single meeting session history item
+ */
+function renderHistoryItem(meeting) {
+  const date = meeting.startTime ? new Date(meeting.startTime).toLocaleDateString() : '-';
+  const time = meeting.startTime ? new Date(meeting.startTime).toLocaleTimeString() : '';
+  const participantCount = Object.keys(meeting.participants || {}).length;
+
+  return `
+    <div class="history-item" data-session-id="${escapeHtml(meeting.sessionId)}">
+      <div class="history-info">
+        <div class="history-id">${escapeHtml(meeting.title || meeting.meetingId)}</div>
+        <div class="history-date">${meeting.title ? `${escapeHtml(meeting.meetingId)} · ` : ''}${date} ${time}</div>
+        ${meeting.tags?.length ? `<div class="history-tags">${meeting.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+      </div>
+      <span class="history-count">${participantCount} participants</span>
+    </div>
+  `;
+}
+
 /**
  * Render meeting history
  */
 function renderHistory(meetings) {
-  const html = meetings.map(meeting => {
-    const date = meeting.startTime ? new Date(meeting.startTime).toLocaleDateString() : '-';
-    const time = meeting.startTime ? new Date(meeting.startTime).toLocaleTimeString() : '';
-    const participantCount = Object.keys(meeting.participants || {}).length;
+  elements.historyList.innerHTML = meetings.map(renderHistoryItem).join('');
+  attachHistoryClickHandlers();
+}
 
-    return `
-      <div class="history-item" data-meeting-id="${escapeHtml(meeting.meetingId)}">
-        <div class="history-info">
-          <div class="history-id">${escapeHtml(meeting.meetingId)}</div>
-          <div class="history-date">${date} ${time}</div>
-        </div>
-        <span class="history-count">${participantCount} participants</span>
+/**
+ * Render meeting history grouped by Meet code
+ */
+function renderHistoryGroups(groups) {
+  const html = groups.map(group => `
+    <div class="history-group">
+      <div class="history-group-header">
+        <span class="history-id">${escapeHtml(group.meetingId)}</span>
+        <span class="history-date">${group.sessions.length} sessions</span>
       </div>
-    `;
-  }).join('');
+      ${group.sessions.map(renderHistoryItem).join('')}
+    </div>
+  `).join('');
 
   elements.historyList.innerHTML = html;
+  attachHistoryClickHandlers();
+}
 
-  // Add click handlers
+/**
+ * Open session details when a history item is clicked
+ */
+function attachHistoryClickHandlers() {
   elements.historyList.querySelectorAll('.history-item').forEach(item => {
     item.addEventListener('click', () => {
-      const meetingId = item.dataset.meetingId;
-      showMeetingDetails(meetingId);
+      showMeetingDetails(item.dataset.sessionId);
     });
   });
 }
 
 /**
- * Show meeting details in modal
+ * Toggle grouping of the history list by Meet code
  */
-async function showMeetingDetails(meetingId) {
+async function handleToggleGroupHistory() {
+  groupHistoryByCode = !groupHistoryByCode;
+  elements.groupHistoryBtn.textContent = groupHistoryByCode ? 'Ungroup' : 'Group';
+  await loadMeetingHistory();
+}
+
+/**
+ * Show meeting session details in modal
+ */
+async function showMeetingDetails(sessionId) {
   try {
     const meeting = await chrome.runtime.sendMessage({
       type: 'GET_MEETING',
-      meetingId
+      sessionId
     });
 
     if (!meeting) {
@@ -238,8 +321,9 @@ async function showMeetingDetails(meetingId) {
       return;
     }
 
-    selectedMeetingId = meetingId;
-    elements.modalTitle.textContent = `Meeting: ${meetingId}`;
+    selectedSessionId = sessionId;
+    selectedMeeting = meeting;
+    elements.modalTitle.textContent = `Meeting: ${meeting.title || meeting.meetingId}`;
 
     const startTime = meeting.startTime ? new Date(meeting.startTime).toLocaleString() : '-';
     const endTime = meeting.endTime ? new Date(meeting.endTime).toLocaleString() : 'Ongoing';
@@ -247,7 +331,17 @@ async function showMeetingDetails(meetingId) {
     const participantCount = Object.keys(participants).length;
 
     let html = `
+      <div class="meeting-details-form">
+        <input type="text" id="detailTitle" placeholder="Title">
+        <input type="text" id="detailTags" placeholder="Tags (comma separated)">
+        <textarea id="detailNotes" rows="2" placeholder="Notes"></textarea>
+        <button id="saveDetailsBtn" class="text-btn">Save details</button>
+      </div>
       <div class="meeting-info" style="margin-bottom: 16px;">
+        <div class="info-row">
+          <span class="label">Meeting code:</span>
+          <span class="value">${escapeHtml(meeting.meetingId)}</span>
+        </div>
         <div class="info-row">
           <span class="label">Started:</span>
           <span class="value">${startTime}</span>
@@ -264,10 +358,15 @@ async function showMeetingDetails(meetingId) {
     `;
 
     if (participantCount > 0) {
-      html += '<h3 style="font-size: 14px; margin-bottom: 8px;">Participants</h3>';
+      html += `
+        <div class="section-header">
+          <h3 style="font-size: 14px;">Participants</h3>
+          <button id="mergeParticipantsBtn" class="text-btn" disabled>Merge selected</button>
+        </div>
+      `;
       html += '<div class="participant-list">';
 
-      for (const p of Object.values(participants)) {
+      for (const [index, p] of Object.values(participants).entries()) {
         const events = p.events || [];
         const eventsHtml = events.map(e => {
           const time = new Date(e.time).toLocaleTimeString();
@@ -276,9 +375,15 @@ async function showMeetingDetails(meetingId) {
 
         html += `
           <div class="participant-item">
+            <input type="checkbox" class="merge-checkbox" data-index="${index}" title="Select to merge">
             <div class="participant-info">
-              <div class="participant-name">${escapeHtml(p.name)}</div>
+              <div class="participant-name">
+                <button class="person-link" data-index="${index}" title="Show attendance history">${escapeHtml(p.name)}</button>
+                ${p.status ? `<span class="status-tag ${statusTagClass(p.status)}">${escapeHtml(p.status)}</span>` : ''}
+              </div>
               ${p.email ? `<div class="participant-email">${escapeHtml(p.email)}</div>` : ''}
+              ${p.names && p.names.length > 1 ? `<div class="participant-email">Also: ${escapeHtml(p.names.filter(n => n !== p.name).join(', '))}</div>` : ''}
+              ${p.summary ? `<div class="participant-summary">${formatSummary(p.summary)}</div>` : ''}
             </div>
             <div class="participant-time">
               ${eventsHtml}
@@ -290,7 +395,14 @@ async function showMeetingDetails(meetingId) {
       html += '</div>';
     }
 
+    if (meeting.rosterReport) {
+      html += renderRosterReport(meeting.rosterReport);
+    }
+
     elements.modalBody.innerHTML = html;
+    setupDetailsForm();
+    setupMergeControls();
+    setupPersonLinks();
     elements.meetingModal.classList.remove('hidden');
   } catch (error) {
     console.error('Failed to load meeting details:', error);
@@ -298,12 +410,164 @@ async function showMeetingDetails(meetingId) {
   }
 }
 
+/**
+ * Fill the title/tags/notes form of the open meeting and save it on demand
+ */
+function setupDetailsForm() {
+  const titleInput = document.getElementById('detailTitle');
+  const tagsInput = document.getElementById('detailTags');
+  const notesInput = document.getElementById('detailNotes');
+
+  // Values are set as properties so quotes in them need no escaping
+  titleInput.value = selectedMeeting.title || '';
+  tagsInput.value = (selectedMeeting.tags || []).join(', ');
+  notesInput.value = selectedMeeting.notes || '';
+
+  document.getElementById('saveDetailsBtn').addEventListener('click', () => saveMeetingDetails({
+    title: titleInput.value,
+    tags: tagsInput.value,
+    notes: notesInput.value
+  }));
+}
+
+/**
+ * Save the title, tags and notes of the open meeting
+ */
+async function saveMeetingDetails(details) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_MEETING_DETAILS',
+      sessionId: selectedSessionId,
+      details
+    });
+
+    if (response.error) {
+      alert('Failed to save: ' + response.error);
+      return;
+    }
+
+    await showMeetingDetails(selectedSessionId);
+    await loadMeetingHistory();
+  } catch (error) {
+    console.error('Failed to save meeting details:', error);
+    alert('Failed to save meeting details');
+  }
+}
+
+/**
+ * Enable the merge action when two or more participants are selected
+ */
+function setupMergeControls() {
+  const mergeBtn = document.getElementById('mergeParticipantsBtn');
+  if (!mergeBtn) return;
+
+  const keys = Object.keys(selectedMeeting.participants);
+  const checkboxes = elements.modalBody.querySelectorAll('.merge-checkbox');
+  const getSelected = () => Array.from(checkboxes)
+    .filter(cb => cb.checked)
+    .map(cb => keys[parseInt(cb.dataset.index, 10)]);
+
+  checkboxes.forEach(cb => {
+    cb.addEventListener('change', () => {
+      mergeBtn.disabled = getSelected().length < 2;
+    });
+  });
+
+  mergeBtn.addEventListener('click', () => mergeParticipants(getSelected()));
+}
+
+/**
+ * Open a participant's attendance history from their name
+ */
+function setupPersonLinks() {
+  const participants = Object.values(selectedMeeting.participants);
+
+  elements.modalBody.querySelectorAll('.person-link').forEach(link => {
+    link.addEventListener('click', () => {
+      const p = participants[parseInt(link.dataset.index, 10)];
+      openPersonHistory(p.name, p.email);
+    });
+  });
+}
+
+/**
+ * Merge the selected participants of the open meeting into one person
+ */
+async function mergeParticipants(participantKeys) {
+  const firstName = selectedMeeting.participants[participantKeys[0]].name;
+  const name = prompt(`Merge ${participantKeys.length} participants into:`, firstName);
+  if (!name) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'MERGE_PARTICIPANTS',
+      sessionId: selectedSessionId,
+      participantKeys,
+      name: name.trim()
+    });
+
+    if (response.error) {
+      alert('Failed to merge: ' + response.error);
+      return;
+    }
+
+    await showMeetingDetails(selectedSessionId);
+    await loadMeetingHistory();
+  } catch (error) {
+    console.error('Failed to merge participants:', error);
+    alert('Failed to merge participants');
+  }
+}
+
+/**
+ * Format a participant's time-attended summary
+ */
+function formatSummary(summary) {
+  const reconnects = summary.reconnects === 1 ? '1 reconnect' : `${summary.reconnects} reconnects`;
+  return `${summary.totalMinutes} min · ${summary.percent}% · ${reconnects}`;
+}
+
+/**
+ * Render roster matched/absent/unexpected lists
+ */
+function renderRosterReport(report) {
+  const sections = [
+    { title: 'Present', people: report.matched, statusClass: 'status-active' },
+    { title: 'Absent', people: report.absent, statusClass: 'status-left' },
+    { title: 'Unexpected Guests', people: report.unexpected, statusClass: 'status-guest' }
+  ];
+
+  let html = '<h3 style="font-size: 14px; margin: 16px 0 8px;">Roster</h3>';
+
+  for (const section of sections) {
+    html += `<div class="roster-heading">${section.title} (${section.people.length})</div>`;
+    if (section.people.length === 0) continue;
+
+    html += '<div class="participant-list">';
+    html += section.people.map(p => `
+      <div class="participant-item">
+        <div style="display: flex; align-items: center;">
+          <span class="participant-status ${section.statusClass}"></span>
+          <div class="participant-info">
+            <div class="participant-name">${escapeHtml(p.name)}</div>
+            ${p.email ? `<div class="participant-email">${escapeHtml(p.email)}</div>` : ''}
+          </div>
+        </div>
+      </div>
+    `).join('');
+    html += '</div>';
+  }
+
+  return html;
+}
+
 /**
  * Close modal
  */
 function closeModal() {
   elements.meetingModal.classList.add('hidden');
-  selectedMeetingId = null;
+  selectedSessionId = null;
+  selectedMeeting = null;
 }
 
 /**
@@ -328,17 +592,18 @@ async function handleRefresh() {
  */
 async function exportCurrentMeetingCSV() {
   if (!currentMeeting) return;
-  await exportMeetingCSV(currentMeeting.meetingId);
+  await exportMeetingCSV(currentMeeting.sessionId);
 }
 
 /**
- * Export meeting to CSV
+ * Export meeting session to CSV ('events' or 'summary' mode)
  */
-async function exportMeetingCSV(meetingId) {
+async function exportMeetingCSV(sessionId, mode = 'events') {
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'EXPORT_MEETING_CSV',
-      meetingId
+      sessionId,
+      mode
     });
 
     if (response.error) {
@@ -347,13 +612,7 @@ async function exportMeetingCSV(meetingId) {
     }
 
     // Download CSV
-    const blob = new Blob([response.csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = response.filename;
-    link.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(new Blob([response.csv], { type: 'text/csv;charset=utf-8;' }), response.filename);
 
     closeModal();
   } catch (error) {
@@ -363,10 +622,35 @@ async function exportMeetingCSV(meetingId) {
 }
 
 /**
- * Handle sync to Google Sheets
+ * Export meeting session to an Excel workbook
+ */
+async function exportMeetingXLSX(sessionId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'EXPORT_MEETINGS_XLSX',
+      sessionIds: [sessionId]
+    });
+
+    if (response.error) {
+      alert('Failed to export: ' + response.error);
+      return;
+    }
+
+    downloadBlob(new Blob([fromBase64(response.data)], { type: XLSX_MIME_TYPE }), response.filename);
+
+    closeModal();
+  } catch (error) {
+    console.error('Failed to export XLSX:', error);
+    alert('Failed to export Excel file');
+  }
+}
+
+/**
+ * Handle sync of a meeting session to Google Sheets
  */
-async function handleSyncSheets() {
-  // Check if authenticated
+async function handleSyncSheets(sessionId, button) {
+  if (!sessionId) return;
+
   const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
 
   if (!settings.spreadsheetId) {
@@ -375,14 +659,35 @@ async function handleSyncSheets() {
     return;
   }
 
-  // TODO: Implement sync
-  alert('Google Sheets sync will be implemented in the settings page.');
+  const label = button.innerHTML;
+  button.disabled = true;
+  button.textContent = 'Syncing...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SYNC_MEETING',
+      sessionId
+    });
+
+    if (response.error) {
+      alert('Failed to sync: ' + response.error);
+      return;
+    }
+
+    alert(`Synced ${response.participantCount} participants to Google Sheets.`);
+  } catch (error) {
+    console.error('Failed to sync to Sheets:', error);
+    alert('Failed to sync to Google Sheets');
+  } finally {
+    button.disabled = false;
+    button.innerHTML = label;
+  }
 }
 
 /**
- * Delete a meeting
+ * Delete a meeting session
  */
-async function deleteMeeting(meetingId) {
+async function deleteMeeting(sessionId) {
   if (!confirm('Are you sure you want to delete this meeting record?')) {
     return;
   }
@@ -390,7 +695,7 @@ async function deleteMeeting(meetingId) {
   try {
     await chrome.runtime.sendMessage({
       type: 'DELETE_MEETING',
-      meetingId
+      sessionId
     });
 
     closeModal();
@@ -419,20 +724,37 @@ async function handleClearHistory() {
 }
 
 /**
- * Open settings page
+ * Open the printable report of a meeting session in a new tab
  */
-function openSettings() {
-  chrome.runtime.openOptionsPage();
+function openReport(sessionId) {
+  if (!sessionId) return;
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`src/report/report.html?session=${encodeURIComponent(sessionId)}`)
+  });
+}
+
+/**
+ * Open the full meeting history page in a new tab
+ */
+function openHistoryPage() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('src/history/history.html') });
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Open the attendance history of a person in a new tab
  */
-function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function openPersonHistory(name, email) {
+  const params = new URLSearchParams({ name, email: email || '' });
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`src/person/person.html?${params}`)
+  });
+}
+
+/**
+ * Open settings page
+ */
+function openSettings() {
+  chrome.runtime.openOptionsPage();
 }
 
 // Initialize on load
@@ -0,0 +1,178 @@
+/**
+ * Google Meet Attendance Tracker - Printable Meeting Report
+ * Opened from the meeting details with ?session=<sessionId>
+ */
+
+import { getHeadcountTimeline } from '../lib/attendance-summary.js';
+import { ATTENDANCE_STATUS } from '../lib/attendance-rules.js';
+import { getRosterStatus, ROSTER_STATUS } from '../lib/roster.js';
+import { renderHeadcountChart } from '../lib/charts.js';
+import { escapeHtml, statusTagClass } from '../lib/html.js';
+
+const elements = {
+  printBtn: document.getElementById('printBtn'),
+  generatedAt: document.getElementById('generatedAt'),
+  errorMessage: document.getElementById('errorMessage'),
+  reportContent: document.getElementById('reportContent'),
+  metaRows: document.getElementById('metaRows'),
+  timeline: document.getElementById('timeline'),
+  participantRows: document.getElementById('participantRows')
+};
+
+/**
+ * Initialize report page
+ */
+async function init() {
+  elements.printBtn.addEventListener('click', () => window.print());
+  elements.generatedAt.textContent = `Generated ${new Date().toLocaleString()}`;
+
+  const sessionId = new URLSearchParams(location.search).get('session');
+  if (!sessionId) {
+    showError('No meeting selected');
+    return;
+  }
+
+  try {
+    const meeting = await chrome.runtime.sendMessage({ type: 'GET_MEETING', sessionId });
+    if (!meeting || meeting.error) {
+      showError(meeting?.error || 'Meeting not found');
+      return;
+    }
+
+    renderReport(meeting);
+  } catch (error) {
+    console.error('Failed to load meeting:', error);
+    showError('Failed to load meeting');
+  }
+}
+
+/**
+ * Show an error instead of the report
+ */
+function showError(message) {
+  elements.errorMessage.textContent = message;
+  elements.errorMessage.classList.remove('hidden');
+  elements.printBtn.disabled = true;
+}
+
+/**
+ * Render the whole report
+ */
+function renderReport(meeting) {
+  document.title = `Attendance Report - ${meeting.title || meeting.meetingId}`;
+  renderMetadata(meeting);
+  renderTimeline(meeting);
+  renderParticipants(meeting);
+  elements.reportContent.classList.remove('hidden');
+}
+
+/**
+ * Render meeting metadata
+ */
+function renderMetadata(meeting) {
+  const participants = Object.values(meeting.participants || {});
+  const duration = meeting.startTime && meeting.endTime
+    ? `${Math.round((new Date(meeting.endTime) - new Date(meeting.startTime)) / 60000)} min`
+    : 'Ongoing';
+  const rules = meeting.rules;
+
+  const rows = [
+    ...(meeting.title ? [['Title', meeting.title]] : []),
+    ['Meeting code', meeting.meetingId],
+    ['Session', meeting.sessionId],
+    ['Started', formatTime(meeting.startTime) || '-'],
+    ['Ended', formatTime(meeting.endTime) || 'Ongoing'],
+    ['Duration', duration],
+    ['Participants', String(participants.length)],
+    ['Peak headcount', String(Math.max(0, ...getHeadcountTimeline(meeting).map(step => step.count)))]
+  ];
+
+  if (meeting.rosterReport) {
+    const { matched, absent, unexpected } = meeting.rosterReport;
+    rows.push(['Roster', `${matched.length} present, ${absent.length} absent, ${unexpected.length} unexpected`]);
+  }
+
+  if (rules) {
+    rows.push(['Attendance rules', `Late after ${rules.lateAfterMinutes} min, left early ${rules.leftEarlyMinutes} min before end` +
+      (rules.minPresencePercent > 0 ? `, absent below ${rules.minPresencePercent}%` : '')]);
+  }
+
+  if (meeting.url) {
+    rows.push(['URL', meeting.url]);
+  }
+
+  if (meeting.tags?.length) {
+    rows.push(['Tags', meeting.tags.join(', ')]);
+  }
+
+  if (meeting.notes) {
+    rows.push(['Notes', meeting.notes]);
+  }
+
+  elements.metaRows.innerHTML = rows.map(([label, value]) => `
+    <tr>
+      <th>${escapeHtml(label)}</th>
+      <td>${escapeHtml(value)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render the participant table (roster members who never joined are listed last)
+ */
+function renderParticipants(meeting) {
+  const report = meeting.rosterReport || null;
+
+  const rows = Object.entries(meeting.participants || {})
+    .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+    .map(([key, p]) => ({
+      name: p.name,
+      email: p.email,
+      status: p.status,
+      summary: p.summary,
+      roster: getRosterStatus(report, key)
+    }));
+
+  for (const entry of report?.absent || []) {
+    rows.push({
+      name: entry.name,
+      email: entry.email,
+      status: ATTENDANCE_STATUS.ABSENT,
+      summary: null,
+      roster: ROSTER_STATUS.ABSENT
+    });
+  }
+
+  elements.participantRows.innerHTML = rows.map((row, index) => `
+    <tr>
+      <td>${index + 1}</td>
+      <td>${escapeHtml(row.name)}</td>
+      <td>${escapeHtml(row.email)}</td>
+      <td>${row.status ? `<span class="status-tag ${statusTagClass(row.status)}">${escapeHtml(row.status)}</span>` : ''}</td>
+      <td>${escapeHtml(formatTime(row.summary?.firstJoin, true))}</td>
+      <td>${escapeHtml(formatTime(row.summary?.lastLeave, true))}</td>
+      <td class="num">${row.summary ? row.summary.totalMinutes : 0}</td>
+      <td class="num">${row.summary ? row.summary.percent : 0}%</td>
+      <td>${escapeHtml(row.roster)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render the headcount timeline as an SVG step chart
+ */
+function renderTimeline(meeting) {
+  renderHeadcountChart(elements.timeline, getHeadcountTimeline(meeting));
+}
+
+/**
+ * Format a timestamp (time only when timeOnly is set)
+ */
+function formatTime(time, timeOnly = false) {
+  if (!time) return '';
+  const date = new Date(time);
+  return timeOnly ? date.toLocaleTimeString() : date.toLocaleString();
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', init);
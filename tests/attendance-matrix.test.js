@@ -0,0 +1,136 @@
+/**
+ * Series attendance matrix (a row per person, a column per session)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome-mock.js';
+import * as storage from '../src/lib/storage.js';
+import { buildAttendanceMatrix, matrixToCSV, MATRIX_MODES } from '../src/lib/attendance-matrix.js';
+
+/**
+ * A finished one-hour session starting at a local time (so column labels don't depend on the time zone)
+ */
+function makeSession(meetingId, [year, month, day], participants = {}, absent = null) {
+  const start = new Date(year, month - 1, day, 9, 0);
+  const minutes = n => new Date(start.getTime() + n * 60000).toISOString();
+  const meeting = {
+    sessionId: storage.createSessionId(meetingId, start.toISOString()),
+    meetingId,
+    startTime: start.toISOString(),
+    endTime: minutes(60),
+    participants: Object.fromEntries(Object.entries(participants).map(([key, p]) => [key, {
+      ...p,
+      events: p.spans.flatMap(([join, leave]) => [
+        { time: minutes(join), type: 'Join' },
+        { time: minutes(leave), type: 'Leave' }
+      ])
+    }]))
+  };
+  if (absent) {
+    meeting.rosterReport = { matched: [], unexpected: [], absent };
+  }
+  return meeting;
+}
+
+describe('buildAttendanceMatrix', () => {
+  // Given out of order: columns follow the session start times
+  const sessions = [
+    makeSession('abc-defg-hij', [2024, 3, 12], {
+      'spaces/1/devices/7': { name: 'MJ', email: 'Minji@School.example', spans: [[0, 60]] },
+      'john  doe': { name: 'john  doe', spans: [[0, 30]] }
+    }, [{ name: 'Ana García', email: null }]),
+    makeSession('abc-defg-hij', [2024, 3, 5], {
+      'spaces/1/devices/1': { name: 'Minji Kim', email: 'minji@school.example', status: 'Late', spans: [[15, 60]] },
+      'John Doe': { name: 'John Doe', spans: [[0, 60]] }
+    })
+  ];
+
+  test('lists each person once across sessions, by email or normalized name', () => {
+    const matrix = buildAttendanceMatrix(sessions);
+
+    assert.deepEqual(matrix.headers, [
+      'Name', 'Email', '2024-03-05 09:00', '2024-03-12 09:00', 'Sessions Attended', 'Attendance %'
+    ]);
+    assert.deepEqual(matrix.rows, [
+      ['Ana García', '', 'Absent', 'Absent', 0, 0],
+      ['John Doe', '', 'Present', 'Present', 2, 100],
+      ['Minji Kim', 'minji@school.example', 'Late', 'Present', 2, 100]
+    ]);
+  });
+
+  test('fills minutes attended, with 0 for missed sessions', () => {
+    const matrix = buildAttendanceMatrix(sessions, MATRIX_MODES.MINUTES);
+
+    assert.deepEqual(matrix.rows.map(row => row.slice(2, 4)), [[0, 0], [60, 30], [45, 60]]);
+  });
+
+  test('counts a session the person missed as absent', () => {
+    const later = makeSession('abc-defg-hij', [2024, 3, 19], {
+      a: { name: 'John Doe', spans: [[0, 60]] }
+    });
+
+    const matrix = buildAttendanceMatrix([...sessions, later]);
+    const minji = matrix.rows.find(row => row[0] === 'Minji Kim');
+
+    assert.deepEqual(minji.slice(2), ['Late', 'Present', 'Absent', 2, 67]);
+  });
+
+  test('keeps the longer record of a person seen twice in one session', () => {
+    const session = makeSession('abc-defg-hij', [2024, 3, 5], {
+      a: { name: 'John Doe', status: 'Late', spans: [[20, 25]] },
+      b: { name: 'John Doe', spans: [[0, 50]] }
+    });
+
+    const matrix = buildAttendanceMatrix([session], MATRIX_MODES.MINUTES);
+
+    assert.deepEqual(matrix.rows, [['John Doe', '', 50, 1, 100]]);
+  });
+
+  test('prefixes the columns with the Meet code when the sessions mix codes', () => {
+    const other = makeSession('xyz-abcd-efg', [2024, 3, 6]);
+
+    const matrix = buildAttendanceMatrix([sessions[1], other]);
+
+    assert.deepEqual(matrix.headers.slice(2, 4), ['abc-defg-hij 2024-03-05 09:00', 'xyz-abcd-efg 2024-03-06 09:00']);
+  });
+
+  test('joins the devices an alias combines into one person', async () => {
+    installChrome();
+    await storage.saveMeeting(makeSession('abc-defg-hij', [2024, 3, 5], {
+      'spaces/1/devices/1': { name: 'kyno', spans: [[0, 60]] }
+    }));
+    await storage.saveMeeting(makeSession('abc-defg-hij', [2024, 3, 12], {
+      'spaces/1/devices/2': { name: "Kyno's iPhone", spans: [[0, 60]] }
+    }));
+    await storage.saveAliases([{ pattern: '^kyno', isRegex: true, canonical: 'Kyno' }]);
+
+    const history = await storage.getMeetingHistory(Infinity);
+    const reports = await Promise.all(history.map(meeting => storage.getMeetingReport(meeting.sessionId)));
+    const matrix = buildAttendanceMatrix(reports);
+
+    assert.deepEqual(matrix.rows, [['Kyno', '', 'Present', 'Present', 2, 100]]);
+  });
+
+  test('joins participants merged in a session into one person', async () => {
+    installChrome();
+    const session = makeSession('abc-defg-hij', [2024, 3, 5], {
+      'spaces/1/devices/1': { name: 'Minji Kim', spans: [[0, 20]] },
+      'spaces/1/devices/2': { name: 'Galaxy Tab', spans: [[25, 60]] }
+    });
+    await storage.saveMeeting(session);
+    await storage.mergeMeetingParticipants(session.sessionId, ['spaces/1/devices/1', 'spaces/1/devices/2'], 'Minji Kim');
+
+    const matrix = buildAttendanceMatrix([await storage.getMeetingReport(session.sessionId)], MATRIX_MODES.MINUTES);
+
+    assert.deepEqual(matrix.rows, [['Minji Kim', '', 55, 1, 100]]);
+  });
+});
+
+describe('matrixToCSV', () => {
+  test('quotes every cell', () => {
+    const csv = matrixToCSV({ headers: ['Name', 'Attendance %'], rows: [['Kim, "MJ"', 100]] });
+
+    assert.equal(csv, '"Name","Attendance %"\n"Kim, ""MJ""","100"');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Attendance status rules
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ATTENDANCE_STATUS, DEFAULT_RULES, resolveRules, getPresenceIntervals, classifyParticipant, applyAttendanceRules
+} from '../src/lib/attendance-rules.js';
+
+const START = '2024-03-05T09:00:00.000Z';
+const END = '2024-03-05T10:00:00.000Z';
+
+/**
+ * ISO time a number of minutes after the meeting start
+ */
+const at = minutes => new Date(new Date(START).getTime() + minutes * 60000).toISOString();
+
+/**
+ * ms timestamp a number of minutes after the meeting start
+ */
+const ms = minutes => new Date(at(minutes)).getTime();
+
+/**
+ * Join/leave events from [join, leave] minute pairs (a null leave stays open)
+ */
+function events(...spans) {
+  return spans.flatMap(([join, leave]) => [
+    { time: at(join), type: 'Join' },
+    ...(leave === null ? [] : [{ time: at(leave), type: 'Leave' }])
+  ]);
+}
+
+const meeting = { meetingId: 'abc-defg-hij', startTime: START, endTime: END };
+
+describe('resolveRules', () => {
+  test('uses the defaults when nothing is set', () => {
+    assert.deepEqual(resolveRules({}, 'abc-defg-hij'), DEFAULT_RULES);
+  });
+
+  test('overrides the global rules per Meet code', () => {
+    const settings = {
+      attendanceRules: { lateAfterMinutes: 5, minPresencePercent: 50 },
+      meetingRules: { 'abc-defg-hij': { lateAfterMinutes: 15 } }
+    };
+
+    assert.deepEqual(resolveRules(settings, 'abc-defg-hij'), {
+      lateAfterMinutes: 15,
+      leftEarlyMinutes: 10,
+      minPresencePercent: 50
+    });
+    assert.equal(resolveRules(settings, 'xyz-abcd-efg').lateAfterMinutes, 5);
+  });
+});
+
+describe('getPresenceIntervals', () => {
+  test('pairs joins with leaves in time order', () => {
+    const unsorted = [...events([30, 40]), ...events([0, 20])];
+
+    assert.deepEqual(getPresenceIntervals(unsorted, ms(60)), [
+      { start: ms(0), end: ms(20) },
+      { start: ms(30), end: ms(40) }
+    ]);
+  });
+
+  test('merges overlapping joins from two devices', () => {
+    assert.deepEqual(getPresenceIntervals(events([0, 30], [10, 45]), ms(60)), [{ start: ms(0), end: ms(45) }]);
+  });
+
+  test('closes a join without a leave at the end time', () => {
+    assert.deepEqual(getPresenceIntervals(events([0, 20], [25, null]), ms(60)), [
+      { start: ms(0), end: ms(20) },
+      { start: ms(25), end: ms(60) }
+    ]);
+  });
+
+  test('ignores a leave without a join', () => {
+    assert.deepEqual(getPresenceIntervals([{ time: at(5), type: 'Leave' }], ms(60)), []);
+  });
+});
+
+describe('classifyParticipant', () => {
+  const classify = (spans, rules = {}, overrides = {}) =>
+    classifyParticipant({ events: events(...spans) }, { ...meeting, ...overrides }, { ...DEFAULT_RULES, ...rules });
+
+  test('is present for the whole meeting', () => {
+    assert.equal(classify([[0, 60]]), ATTENDANCE_STATUS.PRESENT);
+  });
+
+  test('is absent without events', () => {
+    assert.equal(classify([]), ATTENDANCE_STATUS.ABSENT);
+  });
+
+  test('is not late when joining exactly at the late threshold', () => {
+    assert.equal(classify([[10, 60]]), ATTENDANCE_STATUS.PRESENT);
+  });
+
+  test('is late when joining after the late threshold', () => {
+    assert.equal(classify([[10.5, 60]]), ATTENDANCE_STATUS.LATE);
+  });
+
+  test('is not early when leaving exactly at the left-early threshold', () => {
+    assert.equal(classify([[0, 50]]), ATTENDANCE_STATUS.PRESENT);
+  });
+
+  test('left early when leaving before the left-early threshold', () => {
+    assert.equal(classify([[0, 49]]), ATTENDANCE_STATUS.LEFT_EARLY);
+  });
+
+  test('reports late before left early', () => {
+    assert.equal(classify([[20, 30]]), ATTENDANCE_STATUS.LATE);
+  });
+
+  test('cannot leave an ongoing meeting early', () => {
+    assert.equal(classify([[0, 5]], {}, { endTime: null }), ATTENDANCE_STATUS.PRESENT);
+  });
+
+  test('is absent below the minimum presence and present at it', () => {
+    const rules = { minPresencePercent: 50 };
+
+    // 25 + 4 minutes of 60 after reconnecting
+    assert.equal(classify([[0, 25], [56, 60]], rules), ATTENDANCE_STATUS.ABSENT);
+    assert.equal(classify([[0, 30]], { ...rules, leftEarlyMinutes: 60 }), ATTENDANCE_STATUS.PRESENT);
+  });
+});
+
+describe('applyAttendanceRules', () => {
+  test('sets a status on every participant and keeps the rules used', () => {
+    const result = applyAttendanceRules({
+      ...meeting,
+      participants: {
+        a: { name: 'Minji Kim', events: events([0, 60]) },
+        b: { name: 'John Doe', events: events([15, 60]) }
+      }
+    }, DEFAULT_RULES);
+
+    assert.deepEqual(Object.values(result.participants).map(p => p.status), [
+      ATTENDANCE_STATUS.PRESENT,
+      ATTENDANCE_STATUS.LATE
+    ]);
+    assert.equal(result.rules, DEFAULT_RULES);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Time attended per participant and headcount over a meeting
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeParticipant, getHeadcountTimeline, getPersonKey } from '../src/lib/attendance-summary.js';
+
+const START = '2024-03-05T09:00:00.000Z';
+const END = '2024-03-05T10:00:00.000Z';
+
+/**
+ * ISO time a number of minutes after the meeting start
+ */
+const at = minutes => new Date(new Date(START).getTime() + minutes * 60000).toISOString();
+
+/**
+ * ms timestamp a number of minutes after the meeting start
+ */
+const ms = minutes => new Date(at(minutes)).getTime();
+
+/**
+ * Join/leave events from [join, leave] minute pairs (a null leave stays open)
+ */
+function events(...spans) {
+  return spans.flatMap(([join, leave]) => [
+    { time: at(join), type: 'Join' },
+    ...(leave === null ? [] : [{ time: at(leave), type: 'Leave' }])
+  ]);
+}
+
+const meeting = { meetingId: 'abc-defg-hij', startTime: START, endTime: END };
+
+describe('summarizeParticipant', () => {
+  test('counts overlapping joins from two devices once', () => {
+    assert.deepEqual(summarizeParticipant({ events: events([0, 30], [10, 45]) }, meeting), {
+      firstJoin: at(0),
+      lastLeave: at(45),
+      totalMinutes: 45,
+      reconnects: 0,
+      percent: 75
+    });
+  });
+
+  test('adds up the time around a reconnect', () => {
+    assert.deepEqual(summarizeParticipant({ events: events([0, 20], [25, 60]) }, meeting), {
+      firstJoin: at(0),
+      lastLeave: at(60),
+      totalMinutes: 55,
+      reconnects: 1,
+      percent: 92
+    });
+  });
+
+  test('closes a join without a leave at the meeting end', () => {
+    const summary = summarizeParticipant({ events: events([50, null]) }, meeting);
+
+    assert.equal(summary.lastLeave, END);
+    assert.equal(summary.totalMinutes, 10);
+    assert.equal(summary.percent, 17);
+  });
+
+  test('has no last leave while still connected to an ongoing meeting', () => {
+    const ongoing = { ...meeting, endTime: null };
+
+    const summary = summarizeParticipant({ isPresent: true, events: events([0, null]) }, ongoing);
+
+    assert.equal(summary.firstJoin, START);
+    assert.equal(summary.lastLeave, null);
+  });
+
+  test('caps the percent at 100 for joins before the meeting started', () => {
+    assert.equal(summarizeParticipant({ events: events([-10, 60]) }, meeting).percent, 100);
+  });
+
+  test('is empty without events', () => {
+    assert.deepEqual(summarizeParticipant({ events: [] }, meeting), {
+      firstJoin: null,
+      lastLeave: null,
+      totalMinutes: 0,
+      reconnects: 0,
+      percent: 0
+    });
+  });
+});
+
+describe('getHeadcountTimeline', () => {
+  test('steps the headcount at each join and leave until the meeting end', () => {
+    const steps = getHeadcountTimeline({
+      ...meeting,
+      participants: {
+        a: { events: events([0, 60]) },
+        b: { events: events([10, 30]) },
+        c: { events: events([30, 45]) }
+      }
+    });
+
+    // One leaving as another joins is a single step
+    assert.deepEqual(steps, [
+      { time: ms(0), count: 1 },
+      { time: ms(10), count: 2 },
+      { time: ms(30), count: 2 },
+      { time: ms(45), count: 1 },
+      { time: ms(60), count: 0 }
+    ]);
+  });
+
+  test('holds the last count until the meeting end', () => {
+    const steps = getHeadcountTimeline({ ...meeting, participants: { a: { events: events([5, 20]) } } });
+
+    assert.deepEqual(steps, [
+      { time: ms(0), count: 0 },
+      { time: ms(5), count: 1 },
+      { time: ms(20), count: 0 },
+      { time: ms(60), count: 0 }
+    ]);
+  });
+});
+
+describe('getPersonKey', () => {
+  test('identifies a person by email, else by normalized name', () => {
+    assert.equal(getPersonKey('Minji Kim', ' Minji@School.example '), 'email:minji@school.example');
+    assert.equal(getPersonKey('  John   Doe ', null), 'name:john doe');
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * Participant detection against saved Meet pages (tests/fixtures)
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMeetPage, SESSION_ID } from './helpers/meet-page.js';
+
+let page = null;
+
+function open(fixture, options) {
+  page = loadMeetPage(fixture, options);
+  return page;
+}
+
+afterEach(() => {
+  page?.close();
+  page = null;
+});
+
+/**
+ * Names of the participants currently marked present
+ */
+function presentNames(participants) {
+  return Object.values(participants).filter(p => p.isPresent).map(p => p.name).sort();
+}
+
+describe('TEST_SELECTORS', () => {
+  test('reads names and emails from English list items', async () => {
+    const { testSelectors } = open('en-panel-open.html');
+
+    const { participants } = await testSelectors();
+
+    assert.deepEqual(participants[0], {
+      name: 'Minji Kim',
+      email: 'minji@school.example',
+      selector: 'div[role="listitem"][aria-label]',
+      method: 'aria-label'
+    });
+    assert.deepEqual(participants.map(p => p.name), ['Minji Kim', 'John Doe', 'Ana García']);
+    assert.equal(participants[1].email, null);
+  });
+
+  test('falls back to the name element when there is no aria-label', async () => {
+    const { testSelectors } = open('en-panel-open.html');
+
+    const { participants } = await testSelectors({ participant: ['.KV1GEc'] });
+
+    assert.equal(participants[0].name, 'Minji Kim');
+    assert.equal(participants[0].method, 'name .zWGUib');
+  });
+
+  test('reads Korean names', async () => {
+    const { testSelectors } = open('ko-panel-open.html');
+
+    const { participants } = await testSelectors();
+
+    assert.deepEqual(participants.map(p => p.name), ['김민지', '이준호', '박서연']);
+  });
+
+  test('reads the self tile from data-self-name', async () => {
+    const { testSelectors } = open('self-view.html');
+
+    const { participants } = await testSelectors();
+
+    assert.deepEqual(participants.map(p => [p.name, p.method]), [['Minji Kim', 'data-self-name']]);
+  });
+
+  test('rejects device, space and raw ID entries', async () => {
+    const { testSelectors } = open('devices-spaces.html');
+
+    const { participants } = await testSelectors();
+
+    assert.deepEqual(participants.map(p => p.name), ['John Doe']);
+  });
+
+  test('uses the name selectors of the given profile', async () => {
+    const { testSelectors } = open('panel-closed.html');
+
+    const { participants } = await testSelectors({ participant: ['.dkjMxf'], name: ['.XEazBc'] });
+
+    assert.equal(participants[0].name, 'Minji Kim');
+    assert.equal(participants[0].method, 'name .XEazBc');
+  });
+});
+
+describe('participant tracking', () => {
+  test('tracks each English participant once, keyed by participant ID', async () => {
+    const { messagesOfType, startTracking, scan } = open('en-panel-open.html');
+    await startTracking();
+
+    const participants = await scan();
+
+    assert.deepEqual(Object.keys(participants).sort(), [
+      'spaces/AAQA1/devices/101',
+      'spaces/AAQA1/devices/102',
+      'spaces/AAQA1/devices/103'
+    ]);
+    assert.equal(participants['spaces/AAQA1/devices/101'].email, 'minji@school.example');
+    assert.deepEqual(participants['spaces/AAQA1/devices/102'].events.map(e => e.type), ['Join']);
+
+    const joined = messagesOfType('ATTENDANCE_UPDATE').filter(m => m.action === 'participantJoined');
+    assert.equal(joined.length, 3);
+    assert.equal(joined[0].meetingId, 'abc-defg-hij');
+  });
+
+  test('reports updates under the session ID the background assigned', async () => {
+    const { document, messagesOfType, startTracking, scan } = open('en-panel-open.html');
+    await startTracking();
+
+    document.querySelector('[aria-label="John Doe"]').remove();
+    await scan();
+
+    const [started] = messagesOfType('MEETING_STARTED');
+    assert.equal(started.sessionId, undefined);
+    const left = messagesOfType('ATTENDANCE_UPDATE').find(m => m.action === 'participantLeft');
+    assert.equal(left.sessionId, SESSION_ID);
+  });
+
+  test('records leave and rejoin events', async () => {
+    const { document, startTracking, scan } = open('en-panel-open.html');
+    await startTracking();
+
+    const item = document.querySelector('[aria-label="John Doe"]');
+    const parent = item.parentNode;
+    item.remove();
+    await scan();
+    parent.appendChild(item);
+    const participants = await scan();
+
+    const john = participants['spaces/AAQA1/devices/102'];
+    assert.deepEqual(john.events.map(e => e.type), ['Join', 'Leave', 'Join']);
+    assert.equal(john.isPresent, true);
+  });
+
+  test('picks up changes on its own through the page observer', async () => {
+    const { document, advance, startTracking, getParticipants } = open('en-panel-open.html');
+    await startTracking();
+
+    document.querySelector('[aria-label="John Doe"]').remove();
+    await advance(500);
+
+    const john = (await getParticipants())['spaces/AAQA1/devices/102'];
+    assert.equal(john.isPresent, false);
+  });
+
+  test('tracks Korean participants by name', async () => {
+    const { startTracking, getParticipants } = open('ko-panel-open.html');
+    await startTracking();
+
+    assert.deepEqual(Object.keys(await getParticipants()).sort(), ['김민지', '박서연', '이준호'].sort());
+  });
+
+  test('tracks the current user from the self view', async () => {
+    const { startTracking, getParticipants } = open('self-view.html');
+    await startTracking();
+
+    assert.deepEqual(presentNames(await getParticipants()), ['Minji Kim']);
+  });
+
+  test('ignores device and space entries', async () => {
+    const { startTracking, getParticipants } = open('devices-spaces.html');
+    await startTracking();
+
+    assert.deepEqual(presentNames(await getParticipants()), ['John Doe']);
+  });
+
+  test('finds nobody while the panel is closed', async () => {
+    const { startTracking, getParticipants } = open('panel-closed.html');
+    await startTracking();
+
+    assert.deepEqual(await getParticipants(), {});
+  });
+
+  test('uses the participant selectors of the saved profile', async () => {
+    // e.g. a fix that reads the name overlays of the video tiles while the panel is closed
+    const { startTracking, getParticipants } = open('panel-closed.html', {
+      selectorProfile: { participant: ['.dkjMxf'], name: ['.XEazBc'] }
+    });
+    await startTracking();
+
+    assert.deepEqual(presentNames(await getParticipants()), ['John Doe', 'Minji Kim']);
+  });
+});
+
+describe('meeting title', () => {
+  test('falls back to the tab title', async () => {
+    const { messagesOfType, startTracking } = open('en-panel-open.html');
+    await startTracking();
+
+    assert.equal(messagesOfType('MEETING_STARTED')[0].title, 'Biology 101');
+  });
+
+  test('reads the title from the call UI when the tab only shows the meeting code', async () => {
+    const { messagesOfType, startTracking } = open('titled-call.html');
+    await startTracking();
+
+    assert.equal(messagesOfType('MEETING_STARTED')[0].title, 'Biology 101');
+  });
+
+  test('has no title when the tab only shows the meeting code', async () => {
+    const { messagesOfType, startTracking } = open('panel-closed.html');
+    await startTracking();
+
+    assert.equal(messagesOfType('MEETING_STARTED')[0].title, null);
+  });
+
+  test('reports a title that appears during the meeting', async () => {
+    const { document, messagesOfType, advance, startTracking } = open('panel-closed.html');
+    await startTracking();
+
+    document.title = 'Meet - Biology 101';
+    await advance(5000);
+
+    const [message] = messagesOfType('MEETING_TITLE');
+    assert.equal(message.title, 'Biology 101');
+    assert.equal(message.sessionId, SESSION_ID);
+  });
+});
+
+describe('participant panel', () => {
+  test('opens the panel with the English button, found by its icon', async () => {
+    const { clicks, startTracking } = open('panel-closed.html');
+    await startTracking();
+
+    assert.equal(clicks[0].getAttribute('aria-label'), 'Show everyone');
+  });
+
+  test('ignores a people icon outside the call controls', async () => {
+    const { document, clicks, startTracking } = open('panel-closed.html');
+    // e.g. a "group" button in a side panel, earlier in the page than the toolbar
+    document.querySelector('.p2hjYe').insertAdjacentHTML('afterbegin',
+      '<button aria-label="Breakout rooms"><i class="google-material-icons">group</i></button>');
+
+    await startTracking();
+
+    assert.equal(clicks[0].getAttribute('aria-label'), 'Show everyone');
+  });
+
+  test('opens the panel with the Korean button, found by its translated label', async () => {
+    const { document, clicks, startTracking } = open('ko-panel-open.html');
+    document.querySelector('aside').remove();
+
+    await startTracking();
+
+    assert.equal(clicks[0].getAttribute('aria-labelledby'), 'peopleLabel');
+  });
+
+  test('closes the panel again after the first scan', async () => {
+    const { document, clicks, advance, startTracking, getParticipants } = open('panel-closed.html');
+    await startTracking();
+
+    // Meet renders the list once the button was clicked
+    document.body.insertAdjacentHTML('beforeend',
+      '<aside data-panel-id="5"><div role="listitem" aria-label="Minji Kim"></div></aside>');
+    await advance(1000);
+
+    assert.equal(clicks.length, 2);
+    assert.equal(clicks[1], clicks[0]);
+    assert.deepEqual(presentNames(await getParticipants()), ['Minji Kim']);
+  });
+
+  test('leaves a panel that is already open as it is', async () => {
+    for (const fixture of ['en-panel-open.html', 'ko-panel-open.html']) {
+      const { clicks, advance, startTracking, getParticipants, close } = loadMeetPage(fixture);
+      await startTracking();
+
+      await advance(1000);
+
+      assert.equal(clicks.length, 0, fixture);
+      assert.equal(presentNames(await getParticipants()).length, 3, fixture);
+      close();
+    }
+  });
+});
+
+describe('meeting end detection', () => {
+  // detectMeetingEnd runs every 3 seconds while tracking
+  const CHECK_MS = 3000;
+
+  test('keeps tracking while the meeting controls are present', async () => {
+    for (const fixture of ['en-panel-open.html', 'ko-panel-open.html', 'panel-closed.html']) {
+      const { messagesOfType, advance, startTracking, close } = loadMeetPage(fixture);
+      await startTracking();
+
+      await advance(5 * CHECK_MS);
+
+      assert.equal(messagesOfType('MEETING_ENDED').length, 0, fixture);
+      close();
+    }
+  });
+
+  test('ends on the return to home screen', async () => {
+    const { messagesOfType, advance, startTracking } = open('call-ended.html');
+    await startTracking();
+
+    await advance(CHECK_MS);
+
+    assert.equal(messagesOfType('MEETING_ENDED').length, 1);
+  });
+
+  test('ends when the call-ended flag appears', async () => {
+    const { document, messagesOfType, advance, startTracking } = open('en-panel-open.html');
+    await startTracking();
+
+    document.body.setAttribute('data-call-ended', 'true');
+    await advance(CHECK_MS);
+
+    const [ended] = messagesOfType('MEETING_ENDED');
+    assert.equal(ended.sessionId, SESSION_ID);
+    assert.equal(Object.keys(ended.participants).length, 3);
+    for (const participant of Object.values(ended.participants)) {
+      assert.deepEqual(participant.events.map(e => e.type), ['Join', 'Leave']);
+    }
+  });
+
+  test('ends when the URL no longer contains a meeting code', async () => {
+    const { window, messagesOfType, advance, startTracking } = open('en-panel-open.html');
+    await startTracking();
+
+    window.history.pushState({}, '', '/landing');
+    await advance(CHECK_MS);
+
+    assert.equal(messagesOfType('MEETING_ENDED')[0].meetingId, 'abc-defg-hij');
+  });
+
+  test('ends only after the meeting controls stay gone for several checks', async () => {
+    const { document, messagesOfType, advance, startTracking } = open('panel-closed.html');
+    await startTracking();
+
+    document.querySelector('[jsname="A5il2e"]').remove();
+
+    await advance(3 * CHECK_MS);
+    assert.equal(messagesOfType('MEETING_ENDED').length, 0);
+    await advance(CHECK_MS);
+    assert.equal(messagesOfType('MEETING_ENDED').length, 1);
+  });
+});
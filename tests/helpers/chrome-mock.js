@@ -0,0 +1,76 @@
+/**
+ * In-memory chrome.* APIs for the extension's ES modules (storage.js, sheets-api.js)
+ */
+
+/**
+ * Install a fresh globalThis.chrome and return it
+ * storage.local keeps its data in chrome.storage.local.data; failNextSet(message)
+ * makes the next write fail through chrome.runtime.lastError without storing anything.
+ * identity hands out tokens from the given list in order; removeCachedAuthToken
+ * moves on to the next one, like Chrome fetching a new token after a refresh.
+ */
+export function installChrome({ storage = {}, tokens = ['test-token'] } = {}) {
+  const data = structuredClone(storage);
+  const identity = { tokens: [...tokens], removed: [] };
+  let setFailure = null;
+
+  const chrome = {
+    runtime: { lastError: undefined },
+    storage: {
+      local: {
+        data,
+        get(keys, callback) {
+          const result = {};
+          for (const key of [].concat(keys)) {
+            if (key in data) {
+              result[key] = structuredClone(data[key]);
+            }
+          }
+          callback(result);
+        },
+        set(items, callback) {
+          if (setFailure) {
+            chrome.runtime.lastError = { message: setFailure };
+            setFailure = null;
+            callback?.();
+            chrome.runtime.lastError = undefined;
+            return;
+          }
+          Object.assign(data, structuredClone(items));
+          callback?.();
+        },
+        failNextSet(message) {
+          setFailure = message;
+        },
+        remove(keys, callback) {
+          for (const key of [].concat(keys)) {
+            delete data[key];
+          }
+          callback?.();
+        }
+      }
+    },
+    identity: {
+      removed: identity.removed,
+      getAuthToken(options, callback) {
+        if (identity.tokens.length === 0) {
+          chrome.runtime.lastError = { message: 'The user is not signed in.' };
+          callback(undefined);
+          chrome.runtime.lastError = undefined;
+          return;
+        }
+        callback(identity.tokens[0]);
+      },
+      removeCachedAuthToken({ token }, callback) {
+        identity.removed.push(token);
+        if (identity.tokens[0] === token) {
+          identity.tokens.shift();
+        }
+        callback();
+      }
+    }
+  };
+
+  globalThis.chrome = chrome;
+  return chrome;
+}
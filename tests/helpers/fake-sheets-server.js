@@ -0,0 +1,249 @@
+/**
+ * Local stand-in for the Google Sheets v4 REST endpoints used by sheets-api.js
+ * Keeps spreadsheets in memory; like the real API, values are read back as strings.
+ */
+
+import { createServer } from 'node:http';
+
+const SHEETS_ORIGIN = 'https://sheets.googleapis.com';
+
+/**
+ * Convert a column letter to a 0-based index (A -> 0, AA -> 26)
+ */
+function columnIndex(letters) {
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Parse an A1 range such as Meetings!A:A, 'Class 1'!A2, Summary!A1:K1 or Participants!1:1
+ */
+function parseRange(range) {
+  const rows = range.match(/^(?:'((?:[^']|'')+)'|([^!]+))!(\d+):(\d+)$/);
+  if (rows) {
+    const [, quoted, plain, startRow, endRow] = rows;
+    return {
+      title: quoted ? quoted.replace(/''/g, "'") : plain,
+      column: 0,
+      row: parseInt(startRow, 10) - 1,
+      endRow: parseInt(endRow, 10) - 1,
+      endColumn: Infinity
+    };
+  }
+
+  const match = range.match(/^(?:'((?:[^']|'')+)'|([^!]+))!([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/);
+  if (!match) {
+    throw new HttpError(400, `Unable to parse range: ${range}`);
+  }
+  const [, quoted, plain, startColumn, startRow, endColumn] = match;
+  return {
+    title: quoted ? quoted.replace(/''/g, "'") : plain,
+    column: columnIndex(startColumn),
+    row: startRow ? parseInt(startRow, 10) - 1 : 0,
+    endColumn: endColumn ? columnIndex(endColumn) : columnIndex(startColumn)
+  };
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Start the server and route fetch() calls for sheets.googleapis.com to it
+ * Returns controls to seed spreadsheets, inspect requests and inject failures.
+ */
+export async function startFakeSheets({ validTokens = ['test-token'] } = {}) {
+  const spreadsheets = new Map();
+  const requests = [];
+  const failures = [];
+  const tokens = new Set(validTokens);
+  let nextSheetId = 1;
+
+  /**
+   * Add a spreadsheet with sheets given as { title: rows }
+   */
+  function addSpreadsheet(spreadsheetId, sheets = {}) {
+    spreadsheets.set(spreadsheetId, Object.entries(sheets).map(([title, rows]) => ({
+      title,
+      sheetId: nextSheetId++,
+      rows: rows.map(row => row.map(String))
+    })));
+  }
+
+  function getSheet(spreadsheetId, title) {
+    const sheet = spreadsheets.get(spreadsheetId).find(s => s.title === title);
+    if (!sheet) {
+      throw new HttpError(400, `Unable to parse range: ${title}`);
+    }
+    return sheet;
+  }
+
+  function writeValues(spreadsheetId, range, values) {
+    const { title, column, row } = parseRange(range);
+    const sheet = getSheet(spreadsheetId, title);
+    values.forEach((rowValues, i) => {
+      const target = sheet.rows[row + i] || [];
+      rowValues.forEach((value, j) => {
+        target[column + j] = String(value ?? '');
+      });
+      sheet.rows[row + i] = Array.from(target, value => value ?? '');
+    });
+    for (let i = 0; i < sheet.rows.length; i++) {
+      sheet.rows[i] = sheet.rows[i] || [];
+    }
+    return values.length;
+  }
+
+  function readValues(spreadsheetId, range) {
+    const { title, column, row, endRow = Infinity, endColumn } = parseRange(range);
+    const values = getSheet(spreadsheetId, title).rows
+      .slice(row, endRow + 1)
+      .map(cells => cells.slice(column, endColumn + 1));
+    while (values.length > 0 && values[values.length - 1].every(value => value === '')) {
+      values.pop();
+    }
+    return values.length > 0 ? { range, values } : { range };
+  }
+
+  function applyRequest(spreadsheetId, request) {
+    if (request.addSheet) {
+      const { title } = request.addSheet.properties;
+      if (spreadsheets.get(spreadsheetId).some(sheet => sheet.title === title)) {
+        throw new HttpError(400, `A sheet with the name "${title}" already exists.`);
+      }
+      const sheet = { title, sheetId: nextSheetId++, rows: [] };
+      spreadsheets.get(spreadsheetId).push(sheet);
+      return { addSheet: { properties: { title, sheetId: sheet.sheetId } } };
+    }
+    if (request.deleteDimension) {
+      const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+      const sheet = spreadsheets.get(spreadsheetId).find(s => s.sheetId === sheetId);
+      sheet.rows.splice(startIndex, endIndex - startIndex);
+      return {};
+    }
+    // Formatting requests (repeatCell, ...) don't change values
+    return {};
+  }
+
+  function handle(method, path, body) {
+    const match = path.match(/^\/v4\/spreadsheets\/([^/:]+)(.*)$/);
+    if (!match) {
+      throw new HttpError(404, 'Not found');
+    }
+    const [, spreadsheetId, rest] = match;
+    if (!spreadsheets.has(spreadsheetId)) {
+      throw new HttpError(404, 'Requested entity was not found.');
+    }
+
+    if (method === 'GET' && rest === '') {
+      return {
+        spreadsheetId,
+        sheets: spreadsheets.get(spreadsheetId).map(({ title, sheetId }) => ({ properties: { title, sheetId } }))
+      };
+    }
+    if (method === 'POST' && rest === ':batchUpdate') {
+      return { spreadsheetId, replies: body.requests.map(request => applyRequest(spreadsheetId, request)) };
+    }
+    if (method === 'POST' && rest === '/values:batchUpdate') {
+      const totalUpdatedRows = body.data.reduce((sum, d) => sum + writeValues(spreadsheetId, d.range, d.values), 0);
+      return { spreadsheetId, totalUpdatedRows };
+    }
+
+    const valuesMatch = rest.match(/^\/values\/([^:]+)(:append)?$/);
+    if (valuesMatch) {
+      const range = decodeURIComponent(valuesMatch[1]);
+      if (method === 'GET') {
+        return readValues(spreadsheetId, range);
+      }
+      if (method === 'PUT') {
+        return { updatedRows: writeValues(spreadsheetId, range, body.values) };
+      }
+      if (method === 'POST' && valuesMatch[2]) {
+        const { title, column } = parseRange(range);
+        const sheet = getSheet(spreadsheetId, title);
+        let lastRow = sheet.rows.length;
+        while (lastRow > 0 && sheet.rows[lastRow - 1].every(value => value === '')) {
+          lastRow--;
+        }
+        const letter = String.fromCharCode(65 + column);
+        const start = `'${title.replace(/'/g, "''")}'!${letter}${lastRow + 1}`;
+        return { updates: { updatedRows: writeValues(spreadsheetId, start, body.values) } };
+      }
+    }
+
+    throw new HttpError(404, 'Not found');
+  }
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: decodeURIComponent(url.pathname), token, body });
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      const failure = failures.shift();
+      if (failure) {
+        res.writeHead(failure.status, { 'Content-Type': failure.contentType || 'application/json' });
+        res.end(typeof failure.body === 'string' ? failure.body : JSON.stringify(failure.body));
+        return;
+      }
+
+      if (!tokens.has(token)) {
+        send(401, { error: { code: 401, message: 'Request had invalid authentication credentials.', status: 'UNAUTHENTICATED' } });
+        return;
+      }
+
+      try {
+        send(200, handle(req.method, url.pathname, body));
+      } catch (error) {
+        const status = error.status || 500;
+        send(status, { error: { code: status, message: error.message } });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (url, options) => realFetch(String(url).replace(SHEETS_ORIGIN, origin), options);
+
+  return {
+    requests,
+    tokens,
+    addSpreadsheet,
+
+    /**
+     * Rows of a sheet as the API would return them
+     */
+    rows(spreadsheetId, title) {
+      return getSheet(spreadsheetId, title).rows.filter(row => row.some(value => value !== ''));
+    },
+
+    sheetTitles(spreadsheetId) {
+      return spreadsheets.get(spreadsheetId).map(sheet => sheet.title);
+    },
+
+    /**
+     * Answer the next request with this status and body instead of handling it
+     */
+    failNext(status, body, contentType) {
+      failures.push({ status, body, contentType });
+    },
+
+    async close() {
+      globalThis.fetch = realFetch;
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
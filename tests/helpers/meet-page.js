@@ -0,0 +1,185 @@
+/**
+ * Load the content script into a saved Meet page under jsdom with a chrome.* stub
+ * The script runs as shipped: it is driven through its timers (on a fake clock)
+ * and the messages the popup and background send it.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { resolveSelectorProfile } from '../../src/lib/selector-profile.js';
+
+const CONTENT_SCRIPT = readFileSync(new URL('../../src/content/content-script.js', import.meta.url), 'utf8');
+
+export const MEETING_URL = 'https://meet.google.com/abc-defg-hij';
+
+// The session ID the stubbed background assigns on MEETING_STARTED
+export const SESSION_ID = 'abc-defg-hij_1709629200000';
+
+// The script waits this long after the page loads before it starts tracking
+const START_DELAY_MS = 2000;
+
+/**
+ * Let pending promise callbacks (e.g. replies to sendMessage) run
+ */
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Replace the page's timers with a clock that only moves when advanced
+ */
+function installFakeTimers(window) {
+  const timers = new Map();
+  let now = 0;
+  let nextId = 1;
+
+  const schedule = (callback, delay, repeat) => {
+    const ms = Math.max(0, Number(delay) || 0);
+    timers.set(nextId, { callback, at: now + ms, every: repeat ? Math.max(1, ms) : null });
+    return nextId++;
+  };
+  const clear = id => timers.delete(id);
+
+  window.setTimeout = (callback, delay) => schedule(callback, delay, false);
+  window.setInterval = (callback, delay) => schedule(callback, delay, true);
+  window.clearTimeout = clear;
+  window.clearInterval = clear;
+
+  return {
+    /**
+     * Run every timer due within the next ms milliseconds, in time order
+     */
+    async advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        await flushPromises();
+        let next = null;
+        for (const [id, timer] of timers) {
+          if (timer.at <= end && (!next || timer.at < next[1].at)) {
+            next = [id, timer];
+          }
+        }
+        if (!next) break;
+
+        const [id, timer] = next;
+        now = timer.at;
+        if (timer.every) {
+          timer.at += timer.every;
+        } else {
+          timers.delete(id);
+        }
+        timer.callback();
+      }
+      now = end;
+      await flushPromises();
+    },
+
+    clear() {
+      timers.clear();
+    }
+  };
+}
+
+/**
+ * Open a fixture from tests/fixtures and run the content script in it
+ * Returns the window, the messages the script sent to the background and the
+ * elements it clicked, with helpers to message it and move its clock.
+ * Call close() when done: it stops the script's timers and observers.
+ */
+export function loadMeetPage(fixture, { selectorProfile = null } = {}) {
+  const html = readFileSync(new URL(`../fixtures/${fixture}`, import.meta.url), 'utf8');
+  const dom = new JSDOM(html, {
+    url: MEETING_URL,
+    runScripts: 'outside-only',
+    // The script logs every detection; keep test output clean
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+  const messages = [];
+  const clicks = [];
+  let listener = null;
+
+  window.chrome = {
+    runtime: {
+      sendMessage(message) {
+        messages.push(structuredClone(message));
+        if (message.type === 'GET_SELECTOR_PROFILE') {
+          return Promise.resolve({ profile: resolveSelectorProfile(selectorProfile), isCustom: !!selectorProfile });
+        }
+        if (message.type === 'MEETING_STARTED') {
+          return Promise.resolve({ success: true, sessionId: SESSION_ID, meetingId: message.meetingId });
+        }
+        return Promise.resolve({});
+      },
+      onMessage: {
+        addListener(callback) {
+          listener = callback;
+        }
+      }
+    }
+  };
+
+  const clock = installFakeTimers(window);
+  window.document.addEventListener('click', event => clicks.push(event.target), true);
+
+  window.eval(CONTENT_SCRIPT);
+
+  // The script schedules its start once the page has loaded
+  const loaded = window.document.readyState === 'loading'
+    ? new Promise(resolve => window.addEventListener('DOMContentLoaded', resolve))
+    : Promise.resolve();
+
+  /**
+   * Send the script a message as the popup or background would; resolves with its reply
+   * (copied, since objects created inside the page belong to another realm)
+   */
+  function send(message) {
+    return new Promise(resolve => {
+      listener(message, {}, response => resolve(structuredClone(response)));
+    });
+  }
+
+  return {
+    window,
+    document: window.document,
+    messages,
+    clicks,
+    messagesOfType: type => messages.filter(message => message.type === type),
+    send,
+    advance: ms => clock.advance(ms),
+
+    /**
+     * Wait for the script to start tracking, with the selector profile and session ID in place
+     */
+    async startTracking() {
+      await loaded;
+      await clock.advance(START_DELAY_MS);
+    },
+
+    /**
+     * Scan now (as the popup's refresh does) and return the tracked participants
+     */
+    async scan() {
+      return (await send({ type: 'FORCE_SCAN' })).participants;
+    },
+
+    /**
+     * Get the tracked participants
+     */
+    async getParticipants() {
+      return (await send({ type: 'GET_PARTICIPANTS' })).participants;
+    },
+
+    /**
+     * Detect participants with a selector profile (missing fields use the defaults)
+     */
+    async testSelectors(profile = null) {
+      return send({ type: 'TEST_SELECTORS', profile: resolveSelectorProfile(profile) });
+    },
+
+    close() {
+      clock.clear();
+      window.close();
+    }
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Storage schema migrations of stored meetings and imported exports
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome-mock.js';
+import { CURRENT_SCHEMA_VERSION, migrateMeetings } from '../src/lib/migrations.js';
+import * as storage from '../src/lib/storage.js';
+
+/**
+ * Meetings as saved by the first release: keyed by Meet code, participants by name
+ */
+function legacyMeetings() {
+  return {
+    'abc-defg-hij': {
+      meetingId: 'abc-defg-hij',
+      startTime: '2024-03-05T09:00:00.000Z',
+      endTime: '2024-03-05T10:00:00.000Z',
+      participants: {
+        'Minji Kim': {
+          name: 'Minji Kim',
+          email: null,
+          events: [{ time: '2024-03-05T09:00:00.000Z', type: 'Join' }],
+          isPresent: false
+        }
+      }
+    }
+  };
+}
+
+describe('migrateMeetings', () => {
+  test('upgrades version 1 records to the current shape', () => {
+    const meetings = legacyMeetings();
+
+    const migrated = migrateMeetings(meetings, 1);
+
+    const meeting = migrated['abc-defg-hij'];
+    assert.equal(meeting.sessionId, 'abc-defg-hij');
+    assert.deepEqual(meeting.participants['Minji Kim'].names, ['Minji Kim']);
+    assert.equal(meeting.participants['Minji Kim'].id, null);
+    assert.deepEqual(meetings, legacyMeetings(), 'input is left untouched');
+  });
+
+  test('leaves records already in the current shape as they are', () => {
+    const current = migrateMeetings(legacyMeetings(), 1);
+
+    assert.deepEqual(migrateMeetings(current, 1), current);
+    assert.deepEqual(migrateMeetings(current, CURRENT_SCHEMA_VERSION), current);
+  });
+
+  test('refuses data from a newer version', () => {
+    assert.throws(
+      () => migrateMeetings({}, CURRENT_SCHEMA_VERSION + 1),
+      { message: `Data is from a newer version of the extension (schema ${CURRENT_SCHEMA_VERSION + 1})` }
+    );
+  });
+
+  test('names the step that failed', () => {
+    const meetings = legacyMeetings();
+    meetings['abc-defg-hij'].participants.broken = null;
+
+    assert.throws(() => migrateMeetings(meetings, 1), /^Error: Migration to schema 3 failed/);
+  });
+});
+
+describe('migrateStorage', () => {
+  test('upgrades meetings saved before versioning', async () => {
+    const chrome = installChrome({ storage: { meetings: legacyMeetings() } });
+
+    const result = await storage.migrateStorage();
+
+    assert.deepEqual(result, { migrated: true, from: 1, version: CURRENT_SCHEMA_VERSION });
+    assert.equal(chrome.storage.local.data.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(chrome.storage.local.data.meetings['abc-defg-hij'].participants['Minji Kim'].names, ['Minji Kim']);
+  });
+
+  test('only records the version on a fresh install', async () => {
+    const chrome = installChrome();
+
+    const result = await storage.migrateStorage();
+
+    assert.deepEqual(result, { migrated: false, version: CURRENT_SCHEMA_VERSION });
+    assert.deepEqual(chrome.storage.local.data, { schemaVersion: CURRENT_SCHEMA_VERSION });
+  });
+
+  test('writes nothing when a step fails', async () => {
+    const meetings = legacyMeetings();
+    meetings['abc-defg-hij'].participants.broken = null;
+    const chrome = installChrome({ storage: { meetings } });
+
+    await assert.rejects(storage.migrateStorage(), /Migration to schema 3 failed/);
+
+    assert.deepEqual(chrome.storage.local.data, { meetings });
+  });
+
+  test('puts the previous data back when the write fails', async () => {
+    const chrome = installChrome({ storage: { meetings: legacyMeetings() } });
+    chrome.storage.local.failNextSet('QUOTA_BYTES quota exceeded');
+
+    await assert.rejects(storage.migrateStorage(), { message: 'QUOTA_BYTES quota exceeded' });
+
+    assert.deepEqual(chrome.storage.local.data, { meetings: legacyMeetings(), schemaVersion: 1 });
+    assert.equal(await storage.getSchemaVersion(), 1);
+  });
+
+  test('refuses to downgrade data written by a newer version', async () => {
+    const stored = { meetings: {}, schemaVersion: CURRENT_SCHEMA_VERSION + 1 };
+    const chrome = installChrome({ storage: stored });
+
+    await assert.rejects(storage.migrateStorage(), /newer version/);
+
+    assert.deepEqual(chrome.storage.local.data, stored);
+  });
+});
+
+describe('export and import', () => {
+  beforeEach(() => {
+    installChrome();
+  });
+
+  test('exports are tagged with the schema version and import back', async () => {
+    await storage.importMeetings(JSON.stringify(legacyMeetings()));
+    const exported = await storage.exportAllMeetings();
+    await storage.clearAllMeetings();
+
+    const result = await storage.importMeetings(exported);
+
+    assert.equal(JSON.parse(exported).schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(result, { success: true, count: 1 });
+    assert.deepEqual(Object.keys(await storage.getMeetings()), ['abc-defg-hij']);
+  });
+
+  test('upgrades unversioned exports while importing', async () => {
+    await storage.importMeetings(JSON.stringify(legacyMeetings()));
+
+    const meeting = await storage.getMeeting('abc-defg-hij');
+    assert.deepEqual(meeting.participants['Minji Kim'].names, ['Minji Kim']);
+    assert.equal(meeting.participants['Minji Kim'].id, null);
+  });
+
+  test('replaces migrated records when an old backup is imported again', async () => {
+    installChrome({ storage: { meetings: legacyMeetings() } });
+    await storage.migrateStorage();
+
+    await storage.importMeetings(JSON.stringify(legacyMeetings()));
+
+    assert.deepEqual(Object.keys(await storage.getMeetings()), ['abc-defg-hij']);
+  });
+
+  test('rejects exports from a newer version', async () => {
+    const exported = JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, meetings: legacyMeetings() });
+
+    const result = await storage.importMeetings(exported);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /newer version/);
+    assert.deepEqual(await storage.getMeetings(), {});
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Roster parsing and matching
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRosterCSV, matchRoster, getRosterStatus, ROSTER_STATUS } from '../src/lib/roster.js';
+
+describe('parseRosterCSV', () => {
+  test('reads name, email and student ID by position without a header', () => {
+    const roster = parseRosterCSV('Minji Kim,minji@school.example,2024001\nJohn Doe\n\n');
+
+    assert.deepEqual(roster, [
+      { name: 'Minji Kim', email: 'minji@school.example', studentId: '2024001' },
+      { name: 'John Doe', email: null, studentId: null }
+    ]);
+  });
+
+  test('finds the columns from a header row in any order', () => {
+    const roster = parseRosterCSV('Student ID,Email,Name\n2024001,minji@school.example,Minji Kim');
+
+    assert.deepEqual(roster, [{ name: 'Minji Kim', email: 'minji@school.example', studentId: '2024001' }]);
+  });
+
+  test('reads a Korean header', () => {
+    const roster = parseRosterCSV('학번,이름,이메일\n2024001,김민지,minji@school.example');
+
+    assert.deepEqual(roster, [{ name: '김민지', email: 'minji@school.example', studentId: '2024001' }]);
+  });
+
+  test('reads tab-separated rows pasted from a spreadsheet', () => {
+    const roster = parseRosterCSV('Name\tEmail\r\nKim, Minji\tminji@school.example\r\n');
+
+    assert.deepEqual(roster, [{ name: 'Kim, Minji', email: 'minji@school.example', studentId: null }]);
+  });
+
+  test('ignores a byte order mark before the header', () => {
+    const roster = parseRosterCSV('\uFEFFname,email\nMinji Kim,minji@school.example');
+
+    assert.deepEqual(roster.map(entry => entry.name), ['Minji Kim']);
+  });
+
+  test('keeps commas and escaped quotes inside quoted fields', () => {
+    const roster = parseRosterCSV('"Kim, Minji ""MJ""",minji@school.example');
+
+    assert.equal(roster[0].name, 'Kim, Minji "MJ"');
+    assert.equal(roster[0].email, 'minji@school.example');
+  });
+
+  test('drops emails without an @ and rows without a name', () => {
+    const roster = parseRosterCSV('Minji Kim,not an email\n,john@school.example');
+
+    assert.deepEqual(roster, [{ name: 'Minji Kim', email: null, studentId: null }]);
+  });
+});
+
+describe('matchRoster', () => {
+  const participants = {
+    'spaces/1/devices/1': { name: 'MJ', email: 'Minji@School.example' },
+    'spaces/1/devices/2': { name: 'john  doe', email: null },
+    'spaces/1/devices/3': { name: 'Guest', email: null }
+  };
+
+  test('matches by email first, ignoring case', () => {
+    const report = matchRoster([{ name: 'Minji Kim', email: 'minji@school.example', studentId: '2024001' }], participants);
+
+    assert.deepEqual(report.matched, [{
+      name: 'Minji Kim',
+      email: 'minji@school.example',
+      studentId: '2024001',
+      participantKey: 'spaces/1/devices/1'
+    }]);
+  });
+
+  test('prefers the email over a participant with the same name', () => {
+    const report = matchRoster([{ name: 'Guest', email: 'minji@school.example', studentId: null }], participants);
+
+    assert.equal(report.matched[0].participantKey, 'spaces/1/devices/1');
+  });
+
+  test('falls back to the name, ignoring case and repeated spaces', () => {
+    const report = matchRoster([{ name: 'John Doe', email: 'john@school.example', studentId: null }], participants);
+
+    assert.equal(report.matched[0].participantKey, 'spaces/1/devices/2');
+  });
+
+  test('splits the rest into absent roster members and unexpected participants', () => {
+    const report = matchRoster([
+      { name: 'Minji Kim', email: 'minji@school.example', studentId: null },
+      { name: 'John Doe', email: null, studentId: null },
+      { name: 'Ana García', email: null, studentId: '2024003' }
+    ], participants);
+
+    assert.deepEqual(report.matched.map(m => m.participantKey), ['spaces/1/devices/1', 'spaces/1/devices/2']);
+    assert.deepEqual(report.absent, [{ name: 'Ana García', email: null, studentId: '2024003' }]);
+    assert.deepEqual(report.unexpected, [{ name: 'Guest', email: null, participantKey: 'spaces/1/devices/3' }]);
+  });
+
+  test('matches each participant to one roster entry at most', () => {
+    const report = matchRoster([
+      { name: 'John Doe', email: null, studentId: null },
+      { name: 'John Doe', email: null, studentId: null }
+    ], { 'John Doe': { name: 'John Doe' } });
+
+    assert.equal(report.matched.length, 1);
+    assert.equal(report.absent.length, 1);
+  });
+});
+
+describe('getRosterStatus', () => {
+  test('marks matched participants present and the others unexpected', () => {
+    const report = matchRoster([{ name: 'John Doe', email: null, studentId: null }], {
+      'John Doe': { name: 'John Doe' },
+      Guest: { name: 'Guest' }
+    });
+
+    assert.equal(getRosterStatus(report, 'John Doe'), ROSTER_STATUS.MATCHED);
+    assert.equal(getRosterStatus(report, 'Guest'), ROSTER_STATUS.UNEXPECTED);
+    assert.equal(getRosterStatus(null, 'John Doe'), '');
+  });
+});
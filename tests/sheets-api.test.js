@@ -0,0 +1,339 @@
+/**
+ * sheets-api.js against a local stand-in for the Sheets v4 REST API
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome-mock.js';
+import { startFakeSheets } from './helpers/fake-sheets-server.js';
+import * as sheetsApi from '../src/lib/sheets-api.js';
+
+const SPREADSHEET_ID = 'sheet-1';
+const time = iso => new Date(iso).toLocaleString();
+
+let sheets = null;
+let chrome = null;
+
+beforeEach(async () => {
+  chrome = installChrome({ tokens: ['test-token'] });
+  sheets = await startFakeSheets({ validTokens: ['test-token'] });
+  sheets.addSpreadsheet(SPREADSHEET_ID, {
+    Meetings: [['Session ID', 'Meeting ID']],
+    Participants: [
+      ['Session ID', 'Meeting ID', 'Name'],
+      ['other_1', 'other', 'Someone Else']
+    ],
+    Summary: [['Session ID']]
+  });
+});
+
+afterEach(async () => {
+  await sheets.close();
+});
+
+/**
+ * A meeting report with two participants, one of whom reconnected
+ */
+function makeMeeting(overrides = {}) {
+  return {
+    sessionId: 'abc-defg-hij_1709629200000',
+    meetingId: 'abc-defg-hij',
+    startTime: '2024-03-05T09:00:00.000Z',
+    endTime: '2024-03-05T10:00:00.000Z',
+    url: 'https://meet.google.com/abc-defg-hij',
+    title: 'Biology 101',
+    tags: ['biology', 'period 1'],
+    participants: {
+      'spaces/1/devices/1': {
+        name: 'Minji Kim',
+        email: 'minji@school.example',
+        status: 'Present',
+        events: [
+          { time: '2024-03-05T09:00:00.000Z', type: 'Join' },
+          { time: '2024-03-05T10:00:00.000Z', type: 'Leave' }
+        ]
+      },
+      'John Doe': {
+        name: 'John Doe',
+        email: null,
+        status: 'Late',
+        events: [
+          { time: '2024-03-05T09:10:00.000Z', type: 'Join' },
+          { time: '2024-03-05T09:40:00.000Z', type: 'Leave' },
+          { time: '2024-03-05T09:45:00.000Z', type: 'Join' },
+          { time: '2024-03-05T10:00:00.000Z', type: 'Leave' }
+        ]
+      }
+    },
+    ...overrides
+  };
+}
+
+/**
+ * Data rows of a sheet belonging to one session
+ */
+function sessionRows(title, sessionId) {
+  return sheets.rows(SPREADSHEET_ID, title).filter(row => row[0] === sessionId);
+}
+
+describe('apiRequest (via getSpreadsheet)', () => {
+  test('sends the OAuth token', async () => {
+    const spreadsheet = await sheetsApi.getSpreadsheet(SPREADSHEET_ID);
+
+    assert.deepEqual(spreadsheet.sheets.map(s => s.properties.title), ['Meetings', 'Participants', 'Summary']);
+    assert.equal(sheets.requests[0].token, 'test-token');
+  });
+
+  test('refreshes an expired token once and retries', async () => {
+    chrome = installChrome({ tokens: ['expired-token', 'test-token'] });
+
+    const spreadsheet = await sheetsApi.getSpreadsheet(SPREADSHEET_ID);
+
+    assert.equal(spreadsheet.spreadsheetId, SPREADSHEET_ID);
+    assert.deepEqual(chrome.identity.removed, ['expired-token']);
+    assert.deepEqual(sheets.requests.map(r => r.token), ['expired-token', 'test-token']);
+  });
+
+  test('fails when the refreshed token is rejected too', async () => {
+    chrome = installChrome({ tokens: ['expired-token', 'revoked-token'] });
+
+    await assert.rejects(
+      sheetsApi.getSpreadsheet(SPREADSHEET_ID),
+      { message: 'Request had invalid authentication credentials.' }
+    );
+    assert.equal(sheets.requests.length, 2);
+  });
+
+  test('fails when no token can be obtained', async () => {
+    chrome = installChrome({ tokens: [] });
+
+    await assert.rejects(sheetsApi.getSpreadsheet(SPREADSHEET_ID), { message: 'The user is not signed in.' });
+    assert.equal(sheets.requests.length, 0);
+  });
+
+  test('reports the API error message', async () => {
+    await assert.rejects(sheetsApi.getSpreadsheet('missing'), { message: 'Requested entity was not found.' });
+  });
+
+  test('reports errors without a JSON body by status', async () => {
+    sheets.failNext(503, '<html>Service Unavailable</html>', 'text/html');
+
+    await assert.rejects(sheetsApi.getSpreadsheet(SPREADSHEET_ID), { message: 'API request failed (HTTP 503)' });
+  });
+});
+
+describe('buildMeetingRows', () => {
+  test('builds the Meetings, Participants and Summary rows of a session', () => {
+    const meeting = makeMeeting();
+
+    const rows = sheetsApi.buildMeetingRows(meeting);
+
+    assert.deepEqual(rows.Meetings, [[
+      meeting.sessionId, 'abc-defg-hij', time(meeting.startTime), time(meeting.endTime), '60', 2,
+      'https://meet.google.com/abc-defg-hij', 'Biology 101', 'biology, period 1', ''
+    ]]);
+    assert.equal(rows.Participants.length, 6);
+    assert.deepEqual(rows.Participants[0], [
+      meeting.sessionId, 'abc-defg-hij', 'Minji Kim', 'minji@school.example', time('2024-03-05T09:00:00.000Z'), 'Join', 'Present', ''
+    ]);
+    assert.deepEqual(rows.Summary.map(row => [row[2], row[6], row[7], row[9]]), [
+      ['Minji Kim', 60, 0, 'Present'],
+      ['John Doe', 45, 1, 'Late']
+    ]);
+  });
+
+  test('adds Summary and Participants rows for absent roster members', () => {
+    const meeting = makeMeeting({
+      rosterReport: {
+        matched: [{ participantKey: 'John Doe' }],
+        unexpected: [],
+        absent: [{ name: 'Ana García', email: 'ana@school.example' }]
+      }
+    });
+
+    const rows = sheetsApi.buildMeetingRows(meeting);
+
+    assert.deepEqual(rows.Summary.map(row => [row[2], row[9], row[10]]), [
+      ['Minji Kim', 'Present', 'Unexpected'],
+      ['John Doe', 'Late', 'Present'],
+      ['Ana García', 'Absent', 'Absent']
+    ]);
+    assert.equal(rows.Participants.at(-1)[2], 'Ana García');
+  });
+
+  test('follows the column template', () => {
+    const rows = sheetsApi.buildMeetingRows(makeMeeting(), [
+      { field: 'name', label: 'Student' },
+      { field: 'type', label: 'Event' }
+    ]);
+
+    assert.deepEqual(rows.Participants[0], ['abc-defg-hij_1709629200000', 'Minji Kim', 'Join']);
+  });
+});
+
+describe('syncMeeting', () => {
+  test('writes the session to the Meetings, Participants and Summary sheets', async () => {
+    const meeting = makeMeeting();
+
+    const result = await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting);
+
+    assert.deepEqual(result, {
+      success: true,
+      sessionId: meeting.sessionId,
+      meetingId: 'abc-defg-hij',
+      participantCount: 2,
+      updated: false,
+      // The seeded Participants sheet has other headers than the default template
+      staleSessionIds: ['other_1']
+    });
+    assert.equal(sessionRows('Meetings', meeting.sessionId).length, 1);
+    assert.equal(sessionRows('Participants', meeting.sessionId).length, 6);
+    assert.equal(sessionRows('Summary', meeting.sessionId).length, 2);
+    assert.equal(sheets.rows(SPREADSHEET_ID, 'Meetings')[0][7], 'Title');
+    assert.deepEqual(sheets.rows(SPREADSHEET_ID, 'Participants')[1], ['other_1', 'other', 'Someone Else']);
+  });
+
+  test('replaces the rows of a session synced before', async () => {
+    const meeting = makeMeeting();
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting);
+
+    const result = await sheetsApi.syncMeeting(SPREADSHEET_ID, { ...meeting, title: 'Biology 101 (lab)' });
+
+    assert.equal(result.updated, true);
+    const meetingsRows = sessionRows('Meetings', meeting.sessionId);
+    assert.equal(meetingsRows.length, 1);
+    assert.equal(meetingsRows[0][7], 'Biology 101 (lab)');
+    assert.equal(sessionRows('Participants', meeting.sessionId).length, 6);
+    assert.equal(sessionRows('Summary', meeting.sessionId).length, 2);
+  });
+
+  test('deletes leftover rows when the session shrank', async () => {
+    const meeting = makeMeeting();
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting);
+    const { 'John Doe': removed, ...participants } = meeting.participants;
+
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, { ...meeting, participants });
+
+    assert.deepEqual(sessionRows('Participants', meeting.sessionId).map(row => row[2]), ['Minji Kim', 'Minji Kim']);
+    assert.deepEqual(sessionRows('Summary', meeting.sessionId).map(row => row[2]), ['Minji Kim']);
+    assert.deepEqual(sheets.rows(SPREADSHEET_ID, 'Participants')[1], ['other_1', 'other', 'Someone Else']);
+  });
+
+  test('writes events to a sheet of their own with the per-session layout', async () => {
+    const meeting = makeMeeting();
+    const title = sheetsApi.getEventSheetTitle(meeting, sheetsApi.SHEET_LAYOUTS.PER_SESSION);
+
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting, { layout: sheetsApi.SHEET_LAYOUTS.PER_SESSION });
+
+    assert.ok(sheets.sheetTitles(SPREADSHEET_ID).includes(title));
+    assert.ok(sheets.sheetTitles(SPREADSHEET_ID).includes('Overview'));
+    assert.equal(sessionRows(title, meeting.sessionId).length, 6);
+    assert.equal(sessionRows('Participants', meeting.sessionId).length, 0);
+  });
+
+  test('moves the rows of a session when the layout changed since its last sync', async () => {
+    const meeting = makeMeeting();
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting, { layout: sheetsApi.SHEET_LAYOUTS.PER_MEETING });
+
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting, { layout: sheetsApi.SHEET_LAYOUTS.PER_SESSION });
+
+    const title = sheetsApi.getEventSheetTitle(meeting, sheetsApi.SHEET_LAYOUTS.PER_SESSION);
+    assert.equal(sessionRows(title, meeting.sessionId).length, 6);
+    assert.equal(sessionRows('abc-defg-hij', meeting.sessionId).length, 0);
+  });
+
+  test('fetches the spreadsheet metadata once per sync', async () => {
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, makeMeeting(), { layout: sheetsApi.SHEET_LAYOUTS.PER_SESSION });
+
+    const metadataRequests = sheets.requests.filter(r => r.method === 'GET' && r.path.endsWith(`/${SPREADSHEET_ID}`));
+    assert.equal(metadataRequests.length, 1);
+  });
+
+  test('blanks surplus columns and reports other sessions when the template shrinks', async () => {
+    const meeting = makeMeeting();
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting);
+    const other = makeMeeting({ sessionId: 'abc-defg-hij_1710234000000', startTime: '2024-03-12T09:00:00.000Z' });
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, other);
+
+    const columns = [{ field: 'name', label: 'Student' }, { field: 'type', label: 'Event' }];
+    const result = await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting, { columns });
+
+    const [headers] = sheets.rows(SPREADSHEET_ID, 'Participants');
+    assert.deepEqual(headers, ['Session ID', 'Student', 'Event', '', '', '', '', '']);
+    assert.deepEqual(sessionRows('Participants', meeting.sessionId)[0], [
+      meeting.sessionId, 'Minji Kim', 'Join', '', '', '', '', ''
+    ]);
+    assert.deepEqual(result.staleSessionIds, ['other_1', other.sessionId]);
+
+    // Once rewritten, nothing is left under the old columns
+    const again = await sheetsApi.syncMeeting(SPREADSHEET_ID, other, { columns });
+    assert.deepEqual(again.staleSessionIds, []);
+    assert.deepEqual(sessionRows('Participants', other.sessionId)[0].slice(0, 3), [other.sessionId, 'Minji Kim', 'Join']);
+  });
+
+  test('serializes concurrent syncs of the same session', async () => {
+    const meeting = makeMeeting();
+
+    await Promise.all([
+      sheetsApi.syncMeeting(SPREADSHEET_ID, meeting),
+      sheetsApi.syncMeeting(SPREADSHEET_ID, meeting)
+    ]);
+
+    assert.equal(sessionRows('Meetings', meeting.sessionId).length, 1);
+    assert.equal(sessionRows('Participants', meeting.sessionId).length, 6);
+  });
+
+  test('rejects with the API error and lets later syncs run', async () => {
+    const meeting = makeMeeting();
+    sheets.failNext(429, { error: { code: 429, message: 'Quota exceeded' } });
+
+    await assert.rejects(sheetsApi.syncMeeting(SPREADSHEET_ID, meeting), { message: 'Quota exceeded' });
+
+    const result = await sheetsApi.syncMeeting(SPREADSHEET_ID, meeting);
+    assert.equal(result.success, true);
+  });
+});
+
+describe('syncAllMeetings', () => {
+  test('reports progress and failures per meeting', async () => {
+    const first = makeMeeting();
+    const second = makeMeeting({ sessionId: 'abc-defg-hij_1710234000000', startTime: '2024-03-12T09:00:00.000Z' });
+    const progress = [];
+
+    const results = await sheetsApi.syncAllMeetings(SPREADSHEET_ID, [first, second], (done, total, result) => {
+      progress.push([done, total, result.success]);
+      // The first request of the second meeting fails
+      if (done === 1) {
+        sheets.failNext(500, { error: { code: 500, message: 'Internal error' } });
+      }
+    });
+
+    assert.deepEqual(progress, [[1, 2, true], [2, 2, false]]);
+    assert.deepEqual(results[1], {
+      success: false,
+      sessionId: second.sessionId,
+      meetingId: 'abc-defg-hij',
+      error: 'Internal error'
+    });
+  });
+});
+
+describe('getSyncedMeetingIds', () => {
+  test('lists the sessions in the Meetings sheet', async () => {
+    await sheetsApi.syncMeeting(SPREADSHEET_ID, makeMeeting());
+
+    assert.deepEqual(await sheetsApi.getSyncedMeetingIds(SPREADSHEET_ID), ['abc-defg-hij_1709629200000']);
+  });
+
+  test('lists none when the spreadsheet has no Meetings sheet', async () => {
+    sheets.addSpreadsheet('sheet-2', { Sheet1: [] });
+
+    assert.deepEqual(await sheetsApi.getSyncedMeetingIds('sheet-2'), []);
+  });
+
+  test('rejects with the API error instead of listing none', async () => {
+    sheets.failNext(500, { error: { code: 500, message: 'Internal error' } });
+
+    await assert.rejects(sheetsApi.getSyncedMeetingIds(SPREADSHEET_ID), { message: 'Internal error' });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * storage.js against an in-memory chrome.storage.local
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome-mock.js';
+import * as storage from '../src/lib/storage.js';
+
+let chrome = null;
+
+beforeEach(() => {
+  chrome = installChrome();
+});
+
+/**
+ * A finished meeting session starting at the given ISO time
+ */
+function makeMeeting(meetingId, startTime, participants = {}) {
+  return {
+    sessionId: storage.createSessionId(meetingId, startTime),
+    meetingId,
+    startTime,
+    endTime: new Date(new Date(startTime).getTime() + 60 * 60000).toISOString(),
+    participants
+  };
+}
+
+describe('saveMeeting', () => {
+  test('stores the session under its session ID', async () => {
+    const meeting = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z');
+
+    const saved = await storage.saveMeeting(meeting);
+
+    assert.equal(saved.sessionId, 'abc-defg-hij_1709629200000');
+    assert.ok(saved.updatedAt);
+    assert.deepEqual(Object.keys(chrome.storage.local.data.meetings), ['abc-defg-hij_1709629200000']);
+  });
+
+  test('drops the oldest sessions beyond the storage limit', async () => {
+    await storage.updateSettings({ maxStoredMeetings: 2 });
+
+    // Saved out of order: trimming goes by start time, not by save order
+    await storage.saveMeeting(makeMeeting('abc-defg-hij', '2024-03-12T09:00:00.000Z'));
+    await storage.saveMeeting(makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z'));
+    await storage.saveMeeting(makeMeeting('xyz-abcd-efg', '2024-03-19T09:00:00.000Z'));
+
+    const meetings = await storage.getMeetings();
+    assert.deepEqual(Object.keys(meetings).sort(), [
+      'abc-defg-hij_1710234000000',
+      'xyz-abcd-efg_1710838800000'
+    ]);
+  });
+
+  test('keeps a resaved session instead of trimming it', async () => {
+    await storage.updateSettings({ maxStoredMeetings: 2 });
+    const first = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z');
+    await storage.saveMeeting(first);
+    await storage.saveMeeting(makeMeeting('abc-defg-hij', '2024-03-12T09:00:00.000Z'));
+
+    await storage.saveMeeting({ ...first, title: 'Renamed' });
+
+    const meetings = await storage.getMeetings();
+    assert.equal(Object.keys(meetings).length, 2);
+    assert.equal(meetings[first.sessionId].title, 'Renamed');
+  });
+});
+
+describe('endMeeting', () => {
+  test('keeps details saved during the meeting when its tab is closed', async () => {
+    const join = { time: '2024-03-05T09:00:00.000Z', type: 'Join' };
+    const meeting = { ...makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z'), endTime: null };
+    await storage.saveMeeting(meeting);
+    await storage.updateMeetingDetails(meeting.sessionId, { title: 'Biology 101', tags: 'biology', notes: 'Quiz' });
+    await storage.markMeetingSynced(meeting.sessionId);
+    await storage.updateMeetingParticipants(meeting.sessionId, {
+      'Minji Kim': { name: 'Minji Kim', isPresent: true, events: [join] }
+    });
+
+    // What the background holds for the tab: its copy of the participants, marked as left
+    const endTime = '2024-03-05T09:50:00.000Z';
+    await storage.endMeeting(meeting.sessionId, {
+      'Minji Kim': { name: 'Minji Kim', isPresent: false, events: [join, { time: endTime, type: 'Leave' }] }
+    }, endTime);
+
+    const stored = await storage.getMeeting(meeting.sessionId);
+    assert.equal(stored.title, 'Biology 101');
+    assert.deepEqual(stored.tags, ['biology']);
+    assert.equal(stored.notes, 'Quiz');
+    assert.ok(stored.syncedAt);
+    assert.equal(stored.endTime, endTime);
+    assert.equal(stored.participants['Minji Kim'].events.length, 2);
+  });
+});
+
+describe('aliases and merges', () => {
+  /**
+   * Participants as the content script reports them
+   */
+  function detected() {
+    return {
+      'spaces/1/devices/1': { name: 'kyno', names: ['kyno'], events: [{ time: '2024-03-05T09:00:00.000Z', type: 'Join' }] },
+      'spaces/1/devices/2': { name: "Kyno's iPhone", names: ["Kyno's iPhone"], events: [{ time: '2024-03-05T09:05:00.000Z', type: 'Join' }] },
+      'spaces/1/devices/3': { name: 'John Doe', names: ['John Doe'], events: [{ time: '2024-03-05T09:02:00.000Z', type: 'Join' }] }
+    };
+  }
+
+  test('applies aliases when reading and keeps the detected names stored', async () => {
+    const meeting = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z', detected());
+    await storage.saveMeeting(meeting);
+
+    await storage.saveAliases([{ pattern: '^kyno', isRegex: true, canonical: 'Kyno' }]);
+
+    const report = await storage.getMeetingReport(meeting.sessionId);
+    assert.deepEqual(Object.keys(report.participants).sort(), ['Kyno', 'spaces/1/devices/3']);
+    assert.deepEqual(report.participants.Kyno.names, ['kyno', 'Kyno', "Kyno's iPhone"]);
+    assert.deepEqual(chrome.storage.local.data.meetings[meeting.sessionId].participants, detected());
+  });
+
+  test('restores the detected participants when an alias is removed', async () => {
+    const meeting = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z', detected());
+    await storage.saveMeeting(meeting);
+    await storage.saveAliases([{ pattern: '^kyno', isRegex: true, canonical: 'Kyno' }]);
+
+    await storage.saveAliases([]);
+
+    const report = await storage.getMeetingReport(meeting.sessionId);
+    assert.deepEqual(Object.values(report.participants).map(p => p.name), ['kyno', "Kyno's iPhone", 'John Doe']);
+  });
+
+  test('keeps a merge when a live meeting reports its participants again', async () => {
+    const meeting = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z', detected());
+    meeting.endTime = null;
+    await storage.saveMeeting(meeting);
+
+    await storage.mergeMeetingParticipants(meeting.sessionId, ['spaces/1/devices/1', 'spaces/1/devices/2'], 'Kyno');
+    await storage.updateMeetingParticipants(meeting.sessionId, detected());
+
+    const report = await storage.getMeetingReport(meeting.sessionId);
+    const kyno = report.participants['spaces/1/devices/1'];
+    assert.equal(Object.keys(report.participants).length, 2);
+    assert.equal(kyno.name, 'Kyno');
+    assert.deepEqual(kyno.keys, ['spaces/1/devices/1', 'spaces/1/devices/2']);
+    assert.deepEqual(kyno.events.map(e => e.time), ['2024-03-05T09:00:00.000Z', '2024-03-05T09:05:00.000Z']);
+  });
+
+  test('merges participants the alias table already combined', async () => {
+    const meeting = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z', detected());
+    await storage.saveMeeting(meeting);
+    await storage.saveAliases([{ pattern: '^kyno', isRegex: true, canonical: 'Kyno' }]);
+
+    await storage.mergeMeetingParticipants(meeting.sessionId, ['Kyno', 'spaces/1/devices/3'], 'Kyno');
+    await storage.saveAliases([]);
+
+    const report = await storage.getMeetingReport(meeting.sessionId);
+    assert.deepEqual(Object.values(report.participants).map(p => p.name), ['Kyno']);
+  });
+});
+
+describe('importMeetings', () => {
+  test('merges imported sessions with stored ones', async () => {
+    const stored = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z');
+    await storage.saveMeeting(stored);
+    const imported = makeMeeting('abc-defg-hij', '2024-03-12T09:00:00.000Z');
+
+    const result = await storage.importMeetings(JSON.stringify({ [imported.sessionId]: imported }));
+
+    assert.deepEqual(result, { success: true, count: 1 });
+    assert.deepEqual(Object.keys(await storage.getMeetings()).sort(), [stored.sessionId, imported.sessionId]);
+  });
+
+  test('replaces a stored session with the imported copy', async () => {
+    const stored = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z');
+    await storage.saveMeeting(stored);
+
+    await storage.importMeetings(JSON.stringify({ [stored.sessionId]: { ...stored, title: 'From backup' } }));
+
+    assert.equal((await storage.getMeeting(stored.sessionId)).title, 'From backup');
+  });
+
+  test('keeps the key of records from before sessions existed as their session ID', async () => {
+    const legacy = {
+      'abc-defg-hij': {
+        meetingId: 'abc-defg-hij',
+        startTime: '2024-03-05T09:00:00.000Z',
+        participants: {}
+      }
+    };
+
+    await storage.importMeetings(JSON.stringify(legacy));
+
+    const meeting = await storage.getMeeting('abc-defg-hij');
+    assert.equal(meeting.sessionId, 'abc-defg-hij');
+    assert.equal(await storage.getMeeting('abc-defg-hij_1709629200000'), null);
+  });
+
+  test('reports invalid JSON without touching stored data', async () => {
+    const stored = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z');
+    await storage.saveMeeting(stored);
+    const before = structuredClone(chrome.storage.local.data.meetings);
+
+    const result = await storage.importMeetings('{"broken": ');
+
+    assert.equal(result.success, false);
+    assert.ok(result.error);
+    assert.deepEqual(chrome.storage.local.data.meetings, before);
+  });
+});
+
+describe('meetingToCSV', () => {
+  const time = iso => new Date(iso).toLocaleString();
+
+  test('quotes every field and escapes quotes, commas and line breaks', () => {
+    const meeting = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z', {
+      a: {
+        name: 'Kim "MJ", Minji',
+        email: 'minji@school.example',
+        events: [{ time: '2024-03-05T09:00:00.000Z', type: 'Join' }]
+      },
+      b: {
+        name: 'Two\nLines',
+        email: null,
+        events: [{ time: '2024-03-05T09:05:00.000Z', type: 'Join' }]
+      }
+    });
+
+    const csv = storage.meetingToCSV(meeting);
+
+    assert.equal(csv, [
+      '"Meeting ID","Name","Email","Time","Type","Status","Roster"',
+      `"abc-defg-hij","Kim ""MJ"", Minji","minji@school.example","${time('2024-03-05T09:00:00.000Z')}","Join","",""`,
+      `"abc-defg-hij","Two\nLines","","${time('2024-03-05T09:05:00.000Z')}","Join","",""`
+    ].join('\n'));
+  });
+
+  test('follows a custom column template', () => {
+    const meeting = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z', {
+      a: { name: 'Minji Kim', events: [{ time: '2024-03-05T09:00:00.000Z', type: 'Join' }] }
+    });
+    meeting.title = 'Biology, period 1';
+
+    const csv = storage.meetingToCSV(meeting, [
+      { field: 'title', label: 'Class "title"' },
+      { field: 'name', label: 'Student' }
+    ]);
+
+    assert.equal(csv, '"Class ""title""","Student"\n"Biology, period 1","Minji Kim"');
+  });
+
+  test('adds a row per absent roster member', () => {
+    const meeting = makeMeeting('abc-defg-hij', '2024-03-05T09:00:00.000Z');
+    meeting.rosterReport = { matched: [], unexpected: [], absent: [{ name: 'John Doe', email: 'john@school.example' }] };
+
+    const [, row] = storage.meetingToCSV(meeting).split('\n');
+
+    assert.equal(row, '"abc-defg-hij","John Doe","john@school.example","","","Absent","Absent"');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * sync-queue.js against an in-memory chrome.storage.local
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome-mock.js';
+import * as syncQueue from '../src/lib/sync-queue.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+beforeEach(() => {
+  installChrome();
+});
+
+describe('processQueue', () => {
+  test('removes synced sessions and backs off failed ones', async () => {
+    await syncQueue.enqueue('ok_1');
+    await syncQueue.enqueue('offline_1');
+
+    const results = await syncQueue.processQueue(async sessionId => {
+      if (sessionId === 'offline_1') throw new Error('Failed to fetch');
+    }, 5);
+
+    assert.deepEqual(results, { synced: 1, failed: 1 });
+    const queue = await syncQueue.getQueue();
+    assert.deepEqual(Object.keys(queue), ['offline_1']);
+    assert.equal(queue.offline_1.attempts, 1);
+    assert.equal(queue.offline_1.lastError, 'Failed to fetch');
+    assert.ok(new Date(queue.offline_1.nextAttemptAt) > new Date());
+  });
+
+  test('runs syncs queued during a run before returning', async () => {
+    await syncQueue.enqueue('first_1');
+    const synced = [];
+
+    const running = syncQueue.processQueue(async sessionId => {
+      synced.push(sessionId);
+      if (sessionId === 'first_1') {
+        await syncQueue.enqueue('ended_1');
+        assert.deepEqual(await syncQueue.processQueue(async () => {}, 5), { deferred: true });
+      }
+    }, 5);
+
+    assert.deepEqual(await running, { synced: 2, failed: 0 });
+    assert.deepEqual(synced, ['first_1', 'ended_1']);
+    assert.deepEqual(await syncQueue.getQueue(), {});
+  });
+
+  test('keeps a session queued again while it was syncing', async () => {
+    await syncQueue.enqueue('live_1');
+    let syncs = 0;
+
+    await syncQueue.processQueue(async () => {
+      syncs++;
+      if (syncs === 1) {
+        // The meeting ended (more rows to write) while the first sync was running
+        await tick();
+        await syncQueue.enqueue('live_1');
+        await syncQueue.processQueue(async () => {}, 5);
+      }
+    }, 5);
+
+    assert.equal(syncs, 2);
+    assert.deepEqual(await syncQueue.getQueue(), {});
+  });
+
+  test('does not back off a session queued again while its sync failed', async () => {
+    await syncQueue.enqueue('live_1');
+
+    await syncQueue.processQueue(async () => {
+      await tick();
+      await syncQueue.enqueue('live_1');
+      throw new Error('Quota exceeded');
+    }, 5);
+
+    const { live_1: entry } = await syncQueue.getQueue();
+    assert.equal(entry.attempts, 0);
+    assert.ok(new Date(entry.nextAttemptAt) <= new Date());
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * XLSX writer and attendance workbook, read back from the generated ZIP
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { createWorkbook } from '../src/lib/xlsx.js';
+import { buildAttendanceWorkbook } from '../src/lib/attendance-workbook.js';
+
+const decoder = new TextDecoder();
+
+/**
+ * Read a stored (uncompressed) ZIP archive through its central directory
+ * Checks that every central entry points at a matching local header.
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50, 'end of central directory');
+
+  const count = view.getUint16(end + 10, true);
+  const entries = [];
+  let offset = view.getUint32(end + 16, true);
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014B50, 'central directory header');
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    assert.equal(view.getUint32(localOffset, true), 0x04034B50, `local header of ${name}`);
+    assert.equal(view.getUint16(localOffset + 8, true), 0, `${name} is stored`);
+    assert.equal(view.getUint32(localOffset + 14, true), crc, `local CRC of ${name}`);
+    assert.equal(view.getUint32(localOffset + 18, true), size, `local size of ${name}`);
+
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    entries.push({ name, crc, data: bytes.subarray(start, start + size) });
+    offset += 46 + nameLength;
+  }
+
+  assert.equal(offset, end, 'central directory size');
+  return entries;
+}
+
+/**
+ * The text of each file in a ZIP archive, by name
+ */
+function unzip(bytes) {
+  return Object.fromEntries(readZip(bytes).map(entry => [entry.name, decoder.decode(entry.data)]));
+}
+
+/**
+ * The text cells of each row of a worksheet, in column order
+ */
+function textRows(sheetXml) {
+  return [...sheetXml.matchAll(/<row r="\d+">(.*?)<\/row>/g)].map(([, row]) =>
+    [...row.matchAll(/<t xml:space="preserve">(.*?)<\/t>/g)].map(([, text]) => text));
+}
+
+describe('createWorkbook', () => {
+  test('packs the workbook parts into a ZIP with matching checksums', () => {
+    const entries = readZip(createWorkbook([
+      { name: 'Summary', headers: ['Name'], rows: [['Minji Kim']] },
+      { name: 'Events', headers: ['Name'], rows: [] }
+    ]));
+
+    assert.deepEqual(entries.map(entry => entry.name), [
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    for (const entry of entries) {
+      assert.equal(entry.crc, crc32(entry.data), entry.name);
+    }
+  });
+
+  test('escapes markup and drops control characters Excel rejects', () => {
+    const files = unzip(createWorkbook([
+      { name: 'Q&A', headers: ['Name'], rows: [['Kim <MJ> & "Minji"\u0001\u001F\tend']] }
+    ]));
+
+    assert.deepEqual(textRows(files['xl/worksheets/sheet1.xml']), [
+      ['Name'],
+      ['Kim &lt;MJ&gt; &amp; &quot;Minji&quot;\tend']
+    ]);
+    assert.match(files['xl/workbook.xml'], /<sheet name="Q&amp;A"/);
+  });
+
+  test('writes dates as serials in the date number format', () => {
+    const files = unzip(createWorkbook([
+      { name: 'Events', headers: ['Time'], rows: [[new Date(2024, 2, 5, 9, 0)]] }
+    ]));
+
+    // 2024-03-05 09:00 local time, whatever the time zone of the test run
+    assert.match(files['xl/worksheets/sheet1.xml'], /<c r="A2" s="1"><v>45356\.375<\/v><\/c>/);
+    // Cell style 1 is the one date cells use
+    const styles = [...files['xl/styles.xml'].matchAll(/<xf [^>]*xfId="0"[^>]*\/>/g)].map(([xf]) => xf);
+    assert.match(styles[1], /numFmtId="164"/);
+    assert.match(files['xl/styles.xml'], /<numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"\/>/);
+  });
+});
+
+describe('buildAttendanceWorkbook', () => {
+  test('adds a row per absent roster member to the Events sheet', () => {
+    const meeting = {
+      sessionId: 'abc-defg-hij_1709629200000',
+      meetingId: 'abc-defg-hij',
+      startTime: '2024-03-05T09:00:00.000Z',
+      endTime: '2024-03-05T10:00:00.000Z',
+      participants: {
+        'Minji Kim': { name: 'Minji Kim', events: [{ time: '2024-03-05T09:00:00.000Z', type: 'Join' }] }
+      },
+      rosterReport: {
+        matched: [{ name: 'Minji Kim', participantKey: 'Minji Kim' }],
+        unexpected: [],
+        absent: [{ name: 'John Doe', email: 'john@school.example' }]
+      }
+    };
+
+    const files = unzip(buildAttendanceWorkbook([meeting]));
+
+    // Sheets in order: Summary, Events, Meetings
+    assert.deepEqual(textRows(files['xl/worksheets/sheet2.xml']).slice(1), [
+      ['abc-defg-hij_1709629200000', 'abc-defg-hij', 'Minji Kim', 'Join', 'Present'],
+      ['abc-defg-hij_1709629200000', 'abc-defg-hij', 'John Doe', 'john@school.example', 'Absent', 'Absent']
+    ]);
+  });
+});